@@ -1,10 +1,13 @@
 // @ts-check
 import { defineConfig } from 'astro/config';
+import cardTextures from './src/integrations/card-textures.js';
+import mockApi from './src/integrations/mock-api.js';
 
 // https://astro.build/config
 export default defineConfig({
   site: 'https://hragmds.github.io',
   base: '/onlygoats-draft',
+  integrations: [cardTextures(), mockApi()],
   vite: {
     ssr: {
       external: ['three']
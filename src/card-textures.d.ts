@@ -0,0 +1,5 @@
+// Generated at build time by src/integrations/card-textures.js
+declare module 'virtual:card-textures' {
+  const manifest: Record<string, Record<'texture' | 'image', Record<'low' | 'medium' | 'high', string>>>;
+  export default manifest;
+}
@@ -0,0 +1,210 @@
+// Build-time texture pipeline. Reads every catalog image from src/assets and
+// writes two sets of resized copies at several quality tiers, with URL-safe,
+// content-hashed names:
+//
+//   texture: power-of-two sized for WebGL, stretched to fit (the card UVs
+//            map the whole image)
+//   image:   aspect-correct, for <img> tags
+//
+// The manifest reaches the client through the `virtual:card-textures` module:
+//
+//   { "Trout Bowman Auto front.jpg": {
+//       texture: { low: "textures/trout-bowman-auto-front.256.1a2b3c4d.jpg", ... },
+//       image: { low: "textures/trout-bowman-auto-front.183x256.1a2b3c4d.jpg", ... } } }
+//
+// Paths in the manifest are relative to the site base. In dev the files are
+// served straight from the cache directory and regenerated when the catalog
+// changes; on build they are copied to dist.
+import { createHash } from 'node:crypto';
+import { copyFileSync, existsSync, mkdirSync, readFileSync } from 'node:fs';
+import { extname, join, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+import { listCatalogImages } from '../scripts/catalog-images.js';
+
+// Target height of the longest (vertical) side for each tier
+export const TEXTURE_TIERS = {
+  low: 256,
+  medium: 512,
+  high: 1024
+};
+
+const VIRTUAL_ID = 'virtual:card-textures';
+const RESOLVED_VIRTUAL_ID = `\0${VIRTUAL_ID}`;
+const OUTPUT_PREFIX = 'textures';
+const JPEG_QUALITY = 82;
+
+function nearestPowerOfTwo(value) {
+  return 2 ** Math.max(0, Math.round(Math.log2(value)));
+}
+
+function largestPowerOfTwoBelow(value) {
+  return 2 ** Math.max(0, Math.floor(Math.log2(value)));
+}
+
+function urlSafeName(file) {
+  return file
+    .slice(0, -extname(file).length)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const CATALOG_PATH = 'src/data/catalog.json';
+
+function catalogImages(rootDir) {
+  return listCatalogImages(JSON.parse(readFileSync(join(rootDir, CATALOG_PATH), 'utf8')));
+}
+
+async function writeResized(source, outPath, format, resize) {
+  const pipeline = sharp(source).resize(resize);
+  await (format === 'png'
+    ? pipeline.png({ compressionLevel: 9 })
+    : pipeline.jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+  ).toFile(outPath);
+}
+
+async function generateTextures({ sourceDir, cacheDir, files, logger }) {
+  mkdirSync(cacheDir, { recursive: true });
+  const manifest = {};
+  let generated = 0;
+
+  for (const file of files) {
+    const sourcePath = join(sourceDir, file);
+    if (!existsSync(sourcePath)) {
+      throw new Error(`[card-textures] Missing source image src/assets/${file}`);
+    }
+
+    const source = readFileSync(sourcePath);
+    const hash = createHash('sha256').update(source).digest('hex').slice(0, 8);
+    const { width, height, hasAlpha } = await sharp(source).metadata();
+    const format = hasAlpha ? 'png' : 'jpg';
+    const name = urlSafeName(file);
+
+    manifest[file] = { texture: {}, image: {} };
+    for (const [tier, tierHeight] of Object.entries(TEXTURE_TIERS)) {
+      // Never upscale past the original
+      const textureHeight = Math.min(tierHeight, largestPowerOfTwoBelow(height));
+      const textureWidth = nearestPowerOfTwo(textureHeight * (width / height));
+      const imageHeight = Math.min(tierHeight, height);
+      const imageWidth = Math.round(imageHeight * (width / height));
+
+      const outputs = {
+        // Stretch to the power-of-two box; the card UVs map the whole image
+        texture: {
+          file: `${name}.${textureHeight}.${hash}.${format}`,
+          resize: { width: textureWidth, height: textureHeight, fit: 'fill' }
+        },
+        image: {
+          file: `${name}.${imageWidth}x${imageHeight}.${hash}.${format}`,
+          resize: { width: imageWidth, height: imageHeight }
+        }
+      };
+
+      for (const [kind, { file: outFile, resize }] of Object.entries(outputs)) {
+        const outPath = join(cacheDir, outFile);
+        if (!existsSync(outPath)) {
+          await writeResized(source, outPath, format, resize);
+          generated++;
+        }
+        manifest[file][kind][tier] = `${OUTPUT_PREFIX}/${outFile}`;
+      }
+    }
+  }
+
+  logger.info(`${files.length} image(s), ${generated} texture(s) generated`);
+  return manifest;
+}
+
+export default function cardTextures() {
+  let manifest = {};
+  let rootDir = '';
+  let cacheDir = '';
+  let base = '/';
+
+  const buildManifest = async (logger) => {
+    manifest = await generateTextures({
+      sourceDir: join(rootDir, 'src/assets'),
+      cacheDir,
+      files: catalogImages(rootDir),
+      logger
+    });
+  };
+
+  return {
+    name: 'card-textures',
+    hooks: {
+      'astro:config:setup': async ({ config, updateConfig, logger }) => {
+        rootDir = fileURLToPath(config.root);
+        cacheDir = join(rootDir, 'node_modules/.cache/card-textures');
+        base = config.base.replace(/\/?$/, '/');
+        await buildManifest(logger);
+
+        updateConfig({
+          vite: {
+            plugins: [{
+              name: 'card-textures-manifest',
+              resolveId(id) {
+                return id === VIRTUAL_ID ? RESOLVED_VIRTUAL_ID : undefined;
+              },
+              load(id) {
+                return id === RESOLVED_VIRTUAL_ID
+                  ? `export default ${JSON.stringify(manifest)};`
+                  : undefined;
+              }
+            }]
+          }
+        });
+      },
+
+      'astro:server:setup': ({ server, logger }) => {
+        // Catalog edits can add images, so regenerate and reload the page
+        // with the new manifest
+        const catalogPath = join(rootDir, CATALOG_PATH);
+        server.watcher.add(catalogPath);
+        server.watcher.on('change', async (path) => {
+          if (path !== catalogPath) return;
+          try {
+            await buildManifest(logger);
+          } catch (error) {
+            logger.error(error.message);
+            return;
+          }
+          const module = server.moduleGraph.getModuleById(RESOLVED_VIRTUAL_ID);
+          if (module) server.moduleGraph.invalidateModule(module);
+          server.ws.send({ type: 'full-reload' });
+        });
+
+        // Astro's dev server may already have stripped the base from the URL
+        const prefixes = [`${base}${OUTPUT_PREFIX}/`, `/${OUTPUT_PREFIX}/`];
+        server.middlewares.use((req, res, next) => {
+          const url = req.url ? req.url.split('?')[0] : '';
+          const prefix = prefixes.find((candidate) => url.startsWith(candidate));
+          if (!prefix) return next();
+
+          const filePath = join(cacheDir, decodeURIComponent(url.slice(prefix.length)));
+          if (!filePath.startsWith(cacheDir + sep) || !existsSync(filePath)) return next();
+
+          res.setHeader('Content-Type', filePath.endsWith('.png') ? 'image/png' : 'image/jpeg');
+          res.end(readFileSync(filePath));
+        });
+      },
+
+      'astro:build:done': ({ dir, logger }) => {
+        const outDir = join(fileURLToPath(dir), OUTPUT_PREFIX);
+        mkdirSync(outDir, { recursive: true });
+
+        const files = new Set(Object.values(manifest).flatMap(({ texture, image }) => [
+          ...Object.values(texture),
+          ...Object.values(image)
+        ]));
+        files.forEach((path) => {
+          const file = path.slice(OUTPUT_PREFIX.length + 1);
+          copyFileSync(join(cacheDir, file), join(outDir, file));
+        });
+        logger.info(`Copied ${files.size} texture(s) to ${OUTPUT_PREFIX}/`);
+      }
+    }
+  };
+}
+
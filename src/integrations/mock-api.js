@@ -0,0 +1,146 @@
+// Dev-only stand-ins for the backend endpoints the site talks to. Each route
+// takes the parsed JSON request body and returns { status, body }. Routes are
+// mounted under `${base}api/` on the dev server; production builds point the
+// client at real endpoints through PUBLIC_* environment variables instead.
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const MOCK_LATENCY = 600; // ms, so loading states are visible while developing
+const MAX_ANALYTICS_EVENTS = 500; // Kept for GET analytics
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function createRoutes(rootDir) {
+  const loadCatalog = () => JSON.parse(readFileSync(join(rootDir, 'src/data/catalog.json'), 'utf8'));
+  let analyticsEvents = [];
+
+  return {
+    // Prices are looked up here rather than trusted from the client
+    'POST checkout': (body) => {
+      const ids = Array.isArray(body.items) ? body.items : [];
+      if (ids.length === 0) {
+        return { status: 400, body: { error: 'Your cart is empty.' } };
+      }
+
+      const { cards } = loadCatalog();
+      const items = ids.map((id) => cards.find((card) => card.id === id));
+      const unknown = ids.filter((id, i) => !items[i]);
+      if (unknown.length > 0) {
+        return { status: 409, body: { error: `No longer available: ${unknown.join(', ')}` } };
+      }
+
+      return {
+        status: 201,
+        body: {
+          orderId: `OG-${Date.now().toString(36).toUpperCase()}`,
+          items: items.map(({ id, price }) => ({ id, price })),
+          total: items.reduce((sum, card) => sum + card.price, 0)
+        }
+      };
+    },
+
+    // Sell Your Cards submissions; photos arrive as data URLs of the crops
+    'POST consignments': (body) => {
+      const missing = ['player', 'year', 'set', 'condition', 'askingPrice'].filter((field) => !body[field]);
+      if (missing.length > 0) {
+        return { status: 400, body: { error: `Missing ${missing.join(', ')}.` } };
+      }
+
+      const photos = body.photos || {};
+      const isImage = (photo) => typeof photo === 'string' && photo.startsWith('data:image/');
+      if (!isImage(photos.front) || !isImage(photos.back)) {
+        return { status: 400, body: { error: 'Photos of the front and back are required.' } };
+      }
+
+      return {
+        status: 201,
+        body: { submissionId: `SC-${Date.now().toString(36).toUpperCase()}` }
+      };
+    },
+
+    // Batches from BeaconSink in src/scripts/analytics.js
+    'POST analytics': (body) => {
+      if (!Array.isArray(body.events)) {
+        return { status: 400, body: { error: 'Expected { events: [...] }.' } };
+      }
+
+      analyticsEvents = [...analyticsEvents, ...body.events].slice(-MAX_ANALYTICS_EVENTS);
+      return { status: 202, body: { received: body.events.length } };
+    },
+
+    // The most recent events received, oldest first
+    'GET analytics': () => ({ status: 200, body: { events: analyticsEvents } })
+  };
+}
+
+export default function mockApi() {
+  let routes = {};
+  let base = '/';
+
+  return {
+    name: 'mock-api',
+    hooks: {
+      'astro:config:setup': ({ config }) => {
+        routes = createRoutes(fileURLToPath(config.root));
+        base = config.base.replace(/\/?$/, '/');
+      },
+
+      'astro:server:setup': ({ server, logger }) => {
+        // Astro's dev server may already have stripped the base from the URL
+        const prefixes = [`${base}api/`, '/api/'];
+
+        server.middlewares.use(async (req, res, next) => {
+          const url = req.url ? req.url.split('?')[0] : '';
+          const prefix = prefixes.find((candidate) => url.startsWith(candidate));
+          const handler = prefix && routes[`${req.method} ${url.slice(prefix.length)}`];
+          if (!handler) return next();
+
+          let body;
+          let result;
+          try {
+            body = await readBody(req);
+          } catch (error) {
+            result = { status: 400, body: { error: 'Request body must be JSON.' } };
+          }
+
+          if (!result && (body === null || typeof body !== 'object' || Array.isArray(body))) {
+            result = { status: 400, body: { error: 'Request body must be a JSON object.' } };
+          }
+
+          // A throwing route is a bug in the mock, not a bad request
+          if (!result) {
+            try {
+              result = handler(body);
+            } catch (error) {
+              logger.error(`${req.method} ${url} failed: ${error.stack || error}`);
+              result = { status: 500, body: { error: 'The mock API hit an error. See the dev server log.' } };
+            }
+          }
+
+          logger.info(`${req.method} ${url} -> ${result.status}`);
+          setTimeout(() => {
+            res.statusCode = result.status;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(result.body));
+          }, MOCK_LATENCY);
+        });
+      }
+    }
+  };
+}
@@ -0,0 +1,130 @@
+import * as THREE from 'three';
+
+const MAX_ANISOTROPY = 8;
+
+// Card-shaped stand-in drawn for any image that fails to load, so a bad
+// path shows up as an obvious placeholder rather than a blank white face
+let placeholderCanvas = null;
+
+function getPlaceholderCanvas() {
+  if (placeholderCanvas) return placeholderCanvas;
+
+  placeholderCanvas = document.createElement('canvas');
+  placeholderCanvas.width = 256;
+  placeholderCanvas.height = 358; // 2.5 x 3.5 card ratio
+  const context = placeholderCanvas.getContext('2d');
+  const { width, height } = placeholderCanvas;
+
+  context.fillStyle = '#1a1a1a';
+  context.fillRect(0, 0, width, height);
+
+  // Diagonal hatching
+  context.strokeStyle = '#2a2a2a';
+  context.lineWidth = 6;
+  for (let x = -height; x < width; x += 24) {
+    context.beginPath();
+    context.moveTo(x, height);
+    context.lineTo(x + height, 0);
+    context.stroke();
+  }
+
+  context.strokeStyle = '#444444';
+  context.lineWidth = 4;
+  context.strokeRect(10, 10, width - 20, height - 20);
+
+  context.fillStyle = '#888888';
+  context.font = '600 22px Inter, Arial, sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText('Image', width / 2, height / 2 - 14);
+  context.fillText('unavailable', width / 2, height / 2 + 14);
+
+  return placeholderCanvas;
+}
+
+// Loads every texture the scenes use through one LoadingManager, so the page
+// can show overall progress, broken images fall back to a placeholder, and
+// every texture gets the same colour space and filtering.
+export class AssetLoader {
+  constructor(renderer, { onProgress, onComplete } = {}) {
+    this.anisotropy = Math.min(MAX_ANISOTROPY, renderer.capabilities.getMaxAnisotropy());
+    this.textureCache = new Map();
+    this.failedUrls = [];
+
+    this.manager = new THREE.LoadingManager();
+    this.manager.onProgress = (url, loaded, total) => {
+      if (onProgress) onProgress(loaded, total);
+    };
+    this.manager.onLoad = () => {
+      this.reportFailures();
+      if (onComplete) onComplete(this.failedUrls);
+    };
+    this.manager.onError = (url) => {
+      this.failedUrls.push(url);
+    };
+
+    this.textureLoader = new THREE.TextureLoader(this.manager);
+  }
+
+  // Same URL always returns the same texture, so shared images (card backs)
+  // are only downloaded and uploaded once
+  loadTexture(url) {
+    if (this.textureCache.has(url)) {
+      return this.textureCache.get(url);
+    }
+
+    const texture = this.textureLoader.load(url, undefined, undefined, () => {
+      texture.image = getPlaceholderCanvas();
+      texture.needsUpdate = true;
+    });
+    this.configureTexture(texture);
+    this.textureCache.set(url, texture);
+    return texture;
+  }
+
+  configureTexture(texture) {
+    texture.encoding = THREE.sRGBEncoding;
+    texture.anisotropy = this.anisotropy;
+    return texture;
+  }
+
+  // Frees every texture handed out. Loads still in flight finish silently.
+  dispose() {
+    this.manager.onProgress = () => {};
+    this.manager.onLoad = () => {};
+    this.manager.onError = () => {};
+    this.textureCache.forEach((texture) => texture.dispose());
+    this.textureCache.clear();
+  }
+
+  // Called once everything queued so far has settled
+  reportFailures() {
+    if (this.failedUrls.length === 0) return;
+
+    console.error(
+      `[assets] ${this.failedUrls.length} image(s) failed to load and were replaced with a placeholder:\n` +
+      this.failedUrls.map((url) => `  ${url}`).join('\n')
+    );
+
+    // Make broken paths impossible to miss while developing
+    if (import.meta.env.DEV) {
+      showDevWarning(this.failedUrls);
+    }
+  }
+}
+
+function showDevWarning(urls) {
+  let banner = document.getElementById('asset-warning');
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = 'asset-warning';
+    banner.setAttribute('role', 'alert');
+    banner.style.cssText =
+      'position:fixed;left:16px;bottom:16px;z-index:1000;max-width:480px;padding:12px 16px;' +
+      'background:#c8102e;color:#ffffff;font:13px/1.4 monospace;border-radius:6px;cursor:pointer;';
+    banner.title = 'Click to dismiss';
+    banner.addEventListener('click', () => banner.remove());
+    document.body.appendChild(banner);
+  }
+  banner.textContent = `Missing assets (${urls.length}): ${urls.join(', ')}`;
+}
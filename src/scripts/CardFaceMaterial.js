@@ -0,0 +1,78 @@
+import * as THREE from 'three';
+import { CARD_FINISHES } from './catalog.js';
+
+const FINISH_IDS = {
+  holo: 1,
+  refractor: 2,
+  gold: 3
+};
+
+// Shared by every foil material, so one update per frame moves them all
+const foilUniforms = {
+  uFoilOffset: { value: new THREE.Vector2() }
+};
+
+const FOIL_PARS = /* glsl */ `
+uniform vec2 uFoilOffset;
+
+vec3 foilHue(float h) {
+  return clamp(abs(mod(h * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+}
+`;
+
+// Runs after lighting, before tone mapping. The foil shifts with the angle
+// between the face and the viewer, plus the mouse parallax offset.
+const FOIL_FRAGMENT = /* glsl */ `
+{
+  vec3 viewDir = normalize(vViewPosition);
+  float facing = clamp(dot(viewDir, normal), 0.0, 1.0);
+  float angle = (1.0 - facing) + dot(uFoilOffset, vec2(3.0, 2.0));
+  float luma = dot(diffuseColor.rgb, vec3(0.299, 0.587, 0.114));
+  vec3 foil = vec3(0.0);
+
+  #if FOIL_FINISH == 1
+    // Holo: broad rainbow bands that sweep across the face
+    float hue = fract((vUv.x + vUv.y) * 1.5 + angle * 2.0);
+    foil = foilHue(hue) * (0.25 + 0.5 * (1.0 - facing)) * (0.4 + 0.6 * luma);
+  #elif FOIL_FINISH == 2
+    // Refractor: fine diagonal lines catching a softer rainbow
+    float lines = 0.5 + 0.5 * sin((vUv.x - vUv.y) * 400.0);
+    float hue = fract(vUv.y * 0.8 + angle * 3.0);
+    foil = foilHue(hue) * lines * (0.15 + 0.45 * (1.0 - facing));
+  #elif FOIL_FINISH == 3
+    // Gold / auto: a single warm sheen that slides across as the card tilts
+    float band = fract(vUv.x * 0.7 + vUv.y * 0.3 + angle * 1.5);
+    float sheen = exp(-pow((band - 0.5) * 8.0, 2.0));
+    foil = vec3(1.0, 0.8, 0.35) * sheen * 0.6;
+  #endif
+
+  gl_FragColor.rgb += foil;
+}
+`;
+
+// Card face material: a plain MeshStandardMaterial for 'base', otherwise the
+// same material with a view-dependent foil layered on top of the lighting
+export function createCardFaceMaterial(map, finish = 'base') {
+  if (!CARD_FINISHES.includes(finish)) {
+    throw new Error(`[CardFaceMaterial] Unknown finish "${finish}"`);
+  }
+
+  const material = new THREE.MeshStandardMaterial({ map });
+  if (finish === 'base') return material;
+
+  material.defines = { ...material.defines, FOIL_FINISH: FINISH_IDS[finish] };
+  material.customProgramCacheKey = () => `card-foil-${finish}`;
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.uFoilOffset = foilUniforms.uFoilOffset;
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>\n${FOIL_PARS}`)
+      .replace('#include <tonemapping_fragment>', `${FOIL_FRAGMENT}\n#include <tonemapping_fragment>`);
+  };
+
+  return material;
+}
+
+// Feed the smoothed mouse parallax into every foil material
+export function setFoilViewOffset(x, y) {
+  foilUniforms.uFoilOffset.value.set(x, y);
+}
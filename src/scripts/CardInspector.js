@@ -0,0 +1,416 @@
+import * as THREE from 'three';
+import { describeCard, formatGrade, formatPrice, getCategory, isGraded } from './catalog.js';
+import { syncCartButtons } from './cart-drawer.js';
+import { getAnalytics, HoverTracker } from './analytics.js';
+
+// Elements that keep their own click behaviour instead of picking a card
+const IGNORE_CLICK_SELECTOR = 'a, button, input, select, textarea, label, #category-cards-container, .card-inspector, .site-search';
+
+export class CardInspector {
+  constructor(camera, regularCardsManager) {
+    this.camera = camera;
+    this.regularCardsManager = regularCardsManager;
+
+    // DOM
+    this.root = null;
+    this.stage = null;
+    this.panel = null;
+    this.returnFocusTo = null;
+
+    // Picking
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2(-999, -999);
+    this.hoveredCard = null;
+    this.hoverHit = null; // Raycast hit under the pointer: { object, point, distance }
+    this.hoverTracker = new HoverTracker('floating');
+
+    // Inspection state
+    this.inspectedCard = null;
+    this.isOpen = false;
+    this.blend = 0; // 0 = in orbit, 1 = in front of the camera
+
+    this.BASE_DISTANCE = 3.6; // Distance from camera at zoom 1, far enough to fit a whole slab
+    this.MIN_ZOOM = 1;
+    this.MAX_ZOOM = 4;
+    this.BLEND_SPEED = 0.1;
+    this.TRANSFORM_SMOOTHING = 0.15;
+    this.DRAG_SENSITIVITY = 0.01;
+
+    this.rotationX = 0;
+    this.rotationY = 0;
+    this.targetRotationX = 0;
+    this.targetRotationY = 0;
+    this.flipAngle = 0;
+    this.targetFlipAngle = 0;
+    this.zoom = 1;
+    this.targetZoom = 1;
+    this.focus = new THREE.Vector3(); // Card-local point that zooming closes in on
+    this.targetFocus = new THREE.Vector3();
+
+    this.dragPointerId = null;
+    this.lastDragX = 0;
+    this.lastDragY = 0;
+
+    // Scratch objects reused every frame
+    this.inspectPosition = new THREE.Vector3();
+    this.inspectQuaternion = new THREE.Quaternion();
+    this.orbitQuaternion = new THREE.Quaternion();
+    this.localRotation = new THREE.Euler();
+    this.localQuaternion = new THREE.Quaternion();
+    this.offset = new THREE.Vector3();
+
+    // Bind methods
+    this.onWindowClick = this.onWindowClick.bind(this);
+    this.onWindowPointerMove = this.onWindowPointerMove.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onStagePointerDown = this.onStagePointerDown.bind(this);
+    this.onStagePointerMove = this.onStagePointerMove.bind(this);
+    this.onStagePointerUp = this.onStagePointerUp.bind(this);
+    this.onStageWheel = this.onStageWheel.bind(this);
+    this.onPanelClick = this.onPanelClick.bind(this);
+  }
+
+  init() {
+    this.root = document.getElementById('card-inspector');
+    if (!this.root) return;
+
+    this.stage = this.root.querySelector('.inspector-stage');
+    this.panel = this.root.querySelector('.inspector-panel');
+
+    window.addEventListener('click', this.onWindowClick);
+    window.addEventListener('pointermove', this.onWindowPointerMove);
+    window.addEventListener('keydown', this.onKeyDown);
+
+    this.stage.addEventListener('pointerdown', this.onStagePointerDown);
+    this.stage.addEventListener('pointermove', this.onStagePointerMove);
+    this.stage.addEventListener('pointerup', this.onStagePointerUp);
+    this.stage.addEventListener('pointercancel', this.onStagePointerUp);
+    this.stage.addEventListener('wheel', this.onStageWheel, { passive: false });
+    this.panel.addEventListener('click', this.onPanelClick);
+  }
+
+  destroy() {
+    window.removeEventListener('click', this.onWindowClick);
+    window.removeEventListener('pointermove', this.onWindowPointerMove);
+    window.removeEventListener('keydown', this.onKeyDown);
+    document.body.classList.remove('card-pickable', 'card-inspecting');
+    this.hoverTracker.update(null);
+
+    if (this.root) {
+      this.stage.removeEventListener('pointerdown', this.onStagePointerDown);
+      this.stage.removeEventListener('pointermove', this.onStagePointerMove);
+      this.stage.removeEventListener('pointerup', this.onStagePointerUp);
+      this.stage.removeEventListener('pointercancel', this.onStagePointerUp);
+      this.stage.removeEventListener('wheel', this.onStageWheel);
+      this.panel.removeEventListener('click', this.onPanelClick);
+    }
+
+    this.root = null;
+    this.stage = null;
+    this.panel = null;
+    this.returnFocusTo = null;
+    this.regularCardsManager = null;
+    this.inspectedCard = null;
+    this.hoveredCard = null;
+    this.hoverHit = null;
+    this.isOpen = false;
+  }
+
+  setPointerFromEvent(event) {
+    // The background canvas covers the whole window
+    this.pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+    this.pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
+  }
+
+  pickCard() {
+    const cards = this.regularCardsManager ? this.regularCardsManager.getActiveCards() : [];
+    if (cards.length === 0) return null;
+
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const intersects = this.raycaster.intersectObjects(cards, true);
+    if (intersects.length === 0) return null;
+
+    // Slab parts point back at the card mesh they belong to
+    const hit = intersects[0];
+    return { ...hit, object: hit.object.userData.cardRoot || hit.object };
+  }
+
+  onWindowPointerMove(event) {
+    if (event.pointerType !== 'mouse') return;
+    this.setPointerFromEvent(event);
+  }
+
+  onWindowClick(event) {
+    if (this.isOpen || !this.root) return;
+    if (event.target instanceof Element && event.target.closest(IGNORE_CLICK_SELECTOR)) return;
+
+    this.setPointerFromEvent(event);
+    const hit = this.pickCard();
+    if (hit) {
+      getAnalytics().emit('card:click', { scene: 'floating', id: hit.object.userData.card.id });
+      this.open(hit.object);
+    }
+  }
+
+  onKeyDown(event) {
+    if (!this.isOpen) return;
+
+    switch (event.key) {
+      case 'Escape':
+        this.close();
+        break;
+      case 'f':
+      case 'F':
+        this.flip();
+        break;
+      case '+':
+      case '=':
+        this.setZoom(this.targetZoom * 1.5);
+        break;
+      case '-':
+        this.setZoom(this.targetZoom / 1.5);
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  }
+
+  onStagePointerDown(event) {
+    this.dragPointerId = event.pointerId;
+    this.lastDragX = event.clientX;
+    this.lastDragY = event.clientY;
+    this.stage.setPointerCapture(event.pointerId);
+    this.stage.classList.add('dragging');
+  }
+
+  onStagePointerMove(event) {
+    if (event.pointerId !== this.dragPointerId) return;
+
+    const dx = event.clientX - this.lastDragX;
+    const dy = event.clientY - this.lastDragY;
+    this.lastDragX = event.clientX;
+    this.lastDragY = event.clientY;
+
+    this.targetRotationY += dx * this.DRAG_SENSITIVITY;
+    this.targetRotationX = THREE.MathUtils.clamp(
+      this.targetRotationX + dy * this.DRAG_SENSITIVITY,
+      -Math.PI / 2,
+      Math.PI / 2
+    );
+  }
+
+  onStagePointerUp(event) {
+    if (event.pointerId !== this.dragPointerId) return;
+
+    this.dragPointerId = null;
+    this.stage.classList.remove('dragging');
+  }
+
+  onStageWheel(event) {
+    event.preventDefault();
+
+    // Zoom towards whatever part of the card is under the pointer, so
+    // corners and edges can be brought to the middle of the screen
+    if (event.deltaY < 0) {
+      this.setPointerFromEvent(event);
+      this.raycaster.setFromCamera(this.pointer, this.camera);
+      const hit = this.raycaster.intersectObject(this.inspectedCard, true)[0];
+      if (hit) {
+        this.targetFocus.copy(this.inspectedCard.worldToLocal(hit.point.clone()));
+        this.targetFocus.z = 0;
+      }
+    }
+
+    this.setZoom(this.targetZoom * Math.exp(-event.deltaY * 0.002));
+  }
+
+  onPanelClick(event) {
+    const button = event.target instanceof Element ? event.target.closest('[data-inspector-action]') : null;
+    if (!button) return;
+
+    switch (button.dataset.inspectorAction) {
+      case 'close':
+        this.close();
+        break;
+      case 'flip':
+        this.flip();
+        break;
+      case 'zoom-in':
+        this.setZoom(this.targetZoom * 1.5);
+        break;
+      case 'zoom-out':
+        this.setZoom(this.targetZoom / 1.5);
+        break;
+      case 'reset':
+        this.resetView();
+        break;
+    }
+  }
+
+  open(cardMesh) {
+    // Snap any card still on its way back into orbit
+    if (this.inspectedCard && this.inspectedCard !== cardMesh) {
+      this.inspectedCard.userData.held = false;
+    }
+
+    if (this.inspectedCard !== cardMesh) {
+      this.blend = 0;
+    }
+
+    this.inspectedCard = cardMesh;
+    this.inspectedCard.userData.held = true;
+    this.hoverTracker.update(null);
+    this.isOpen = true;
+    this.resetView();
+
+    this.fillPanel(cardMesh.userData.card);
+    this.returnFocusTo = document.activeElement;
+    this.root.hidden = false;
+    document.body.classList.add('card-inspecting');
+    document.body.classList.remove('card-pickable');
+
+    const closeButton = this.panel.querySelector('[data-inspector-action="close"]');
+    if (closeButton) closeButton.focus();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    // The card keeps being held until update() has blended it back
+    this.isOpen = false;
+    this.dragPointerId = null;
+    this.root.hidden = true;
+    document.body.classList.remove('card-inspecting');
+
+    if (this.returnFocusTo && typeof this.returnFocusTo.focus === 'function') {
+      this.returnFocusTo.focus();
+    }
+    this.returnFocusTo = null;
+  }
+
+  flip() {
+    this.targetFlipAngle = this.targetFlipAngle === 0 ? Math.PI : 0;
+  }
+
+  setZoom(zoom) {
+    this.targetZoom = THREE.MathUtils.clamp(zoom, this.MIN_ZOOM, this.MAX_ZOOM);
+    if (this.targetZoom === this.MIN_ZOOM) {
+      this.targetFocus.set(0, 0, 0);
+    }
+  }
+
+  resetView() {
+    this.targetRotationX = 0;
+    this.targetRotationY = 0;
+    this.targetFlipAngle = 0;
+    this.targetZoom = 1;
+    this.targetFocus.set(0, 0, 0);
+  }
+
+  fillPanel(card) {
+    const category = getCategory(card.category);
+    const fields = {
+      player: card.player,
+      title: describeCard(card),
+      year: card.year,
+      set: card.set,
+      number: `#${card.number}`,
+      category: category ? category.name : card.category,
+      grade: formatGrade(card),
+      cert: isGraded(card) ? card.cert : '—',
+      price: formatPrice(card.price)
+    };
+
+    Object.entries(fields).forEach(([field, value]) => {
+      const element = this.root.querySelector(`[data-field="${field}"]`);
+      if (element) element.textContent = String(value);
+    });
+
+    // Add-to-cart and wishlist buttons act on whichever card is open
+    this.root.querySelectorAll('[data-cart-action]').forEach((button) => {
+      button.dataset.cardId = card.id;
+    });
+    syncCartButtons(this.root);
+  }
+
+  updateHover() {
+    if (this.isOpen || !this.root) return;
+
+    const hit = this.pickCard();
+    this.hoverHit = hit;
+    const newHovered = hit ? hit.object : null;
+    if (newHovered !== this.hoveredCard) {
+      this.hoveredCard = newHovered;
+      document.body.classList.toggle('card-pickable', newHovered !== null);
+    }
+    this.hoverTracker.update(newHovered ? newHovered.userData.card.id : null);
+  }
+
+  getState() {
+    const id = (card) => (card ? card.userData.card.id : null);
+    return {
+      open: this.isOpen,
+      inspected: id(this.inspectedCard),
+      hovered: id(this.hoveredCard),
+      hoverPoint: this.hoverHit ? this.hoverHit.point.toArray() : null,
+      hoverDistance: this.hoverHit ? this.hoverHit.distance : null
+    };
+  }
+
+  // True while a card is open or still travelling back to its orbit
+  isActive() {
+    return this.inspectedCard !== null;
+  }
+
+  update() {
+    this.camera.updateMatrixWorld();
+    this.updateHover();
+
+    const card = this.inspectedCard;
+    if (!card) return;
+
+    // Ease in and out of the inspection pose
+    const targetBlend = this.isOpen ? 1 : 0;
+    this.blend += (targetBlend - this.blend) * this.BLEND_SPEED;
+
+    if (!this.isOpen && this.blend < 0.001) {
+      this.blend = 0;
+      card.userData.held = false;
+      this.inspectedCard = null;
+      return;
+    }
+
+    // Smooth the user-controlled transform
+    const smoothing = this.TRANSFORM_SMOOTHING;
+    this.rotationX += (this.targetRotationX - this.rotationX) * smoothing;
+    this.rotationY += (this.targetRotationY - this.rotationY) * smoothing;
+    this.flipAngle += (this.targetFlipAngle - this.flipAngle) * smoothing;
+    this.zoom += (this.targetZoom - this.zoom) * smoothing;
+    this.focus.lerp(this.targetFocus, smoothing);
+
+    // Face the camera, then apply drag rotation and flip on top
+    this.localRotation.set(this.rotationX, this.rotationY + this.flipAngle, 0);
+    this.localQuaternion.setFromEuler(this.localRotation);
+    this.inspectQuaternion.copy(this.camera.quaternion).multiply(this.localQuaternion);
+
+    // Centre point in front of the camera, pulled closer as we zoom
+    this.camera.getWorldDirection(this.inspectPosition);
+    this.inspectPosition
+      .multiplyScalar(this.BASE_DISTANCE / this.zoom)
+      .add(this.camera.position);
+
+    // Shift the card so the focused point drifts to the centre as zoom increases
+    const focusWeight = (this.zoom - this.MIN_ZOOM) / (this.MAX_ZOOM - this.MIN_ZOOM);
+    this.offset.copy(this.focus).applyQuaternion(this.inspectQuaternion).multiplyScalar(focusWeight);
+    this.inspectPosition.sub(this.offset);
+
+    // Blend between the live orbit transform and the inspection pose
+    const orbit = card.userData.orbit;
+    const eased = this.blend * this.blend * (3 - 2 * this.blend);
+    this.orbitQuaternion.setFromEuler(orbit.rotation);
+
+    card.position.lerpVectors(orbit.position, this.inspectPosition, eased);
+    card.quaternion.slerpQuaternions(this.orbitQuaternion, this.inspectQuaternion, eased);
+  }
+}
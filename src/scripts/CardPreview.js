@@ -0,0 +1,231 @@
+import * as THREE from 'three';
+import { RoundedBoxGeometry } from 'three/examples/jsm/geometries/RoundedBoxGeometry.js';
+import { RenderScheduler } from './RenderScheduler.js';
+import { CARD_CORNER_RADIUS, CARD_DEPTH, CARD_HEIGHT, CARD_WIDTH } from './cardDimensions.js';
+import { createSlabPlasticMaterial } from './SlabModel.js';
+import { disposeObject3D } from './dispose.js';
+
+// Rotatable 3D card showing the photos being submitted on the sell page,
+// built like the floating cards on the home page. Drag to turn it; the
+// flip button in the markup calls flip().
+
+const PLACEHOLDER_WIDTH = 250;
+const PLACEHOLDER_HEIGHT = 350;
+
+function createPlaceholderCanvas(label) {
+  const canvas = document.createElement('canvas');
+  canvas.width = PLACEHOLDER_WIDTH;
+  canvas.height = PLACEHOLDER_HEIGHT;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#1f1f1f';
+  context.fillRect(0, 0, PLACEHOLDER_WIDTH, PLACEHOLDER_HEIGHT);
+  context.fillStyle = '#777777';
+  context.font = '600 22px Inter, sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(label, PLACEHOLDER_WIDTH / 2, PLACEHOLDER_HEIGHT / 2);
+  return canvas;
+}
+
+export class CardPreview {
+  constructor(container) {
+    this.container = container;
+    this.renderer = null;
+    this.scene = null;
+    this.camera = null;
+    this.card = null;
+    this.scheduler = null;
+    this.resizeObserver = null;
+    this.slabPlasticMaterial = null;
+    this.faces = {}; // { front, back }: { material, placeholder }
+
+    this.DRAG_SENSITIVITY = 0.01;
+    this.ROTATION_SMOOTHING = 0.12;
+    this.rotationX = 0;
+    this.rotationY = 0;
+    this.targetRotationX = 0;
+    this.targetRotationY = 0;
+    this.dragPointerId = null;
+    this.lastDragX = 0;
+    this.lastDragY = 0;
+
+    // Bind methods
+    this.animate = this.animate.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onResize = this.onResize.bind(this);
+  }
+
+  // Returns false, having set nothing up, when no WebGL renderer could be
+  // created
+  init() {
+    try {
+      this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    } catch (error) {
+      console.warn('[CardPreview] Could not create a WebGL renderer', error);
+      return false;
+    }
+    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
+    this.renderer.outputEncoding = THREE.sRGBEncoding;
+    this.container.appendChild(this.renderer.domElement);
+
+    this.camera = new THREE.PerspectiveCamera(35, 1, 0.1, 20);
+    this.camera.position.z = 4.6;
+
+    this.scene = new THREE.Scene();
+    this.scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight.position.set(5, 5, 5);
+    this.scene.add(directionalLight);
+
+    this.slabPlasticMaterial = createSlabPlasticMaterial();
+    ['front', 'back'].forEach((side) => {
+      const placeholder = new THREE.CanvasTexture(createPlaceholderCanvas(side === 'front' ? 'Front photo' : 'Back photo'));
+      placeholder.encoding = THREE.sRGBEncoding;
+      this.faces[side] = { material: new THREE.MeshStandardMaterial({ map: placeholder }), placeholder };
+    });
+
+    this.card = new THREE.Mesh(
+      new RoundedBoxGeometry(CARD_WIDTH, CARD_HEIGHT, CARD_DEPTH, 4, CARD_CORNER_RADIUS),
+      [
+        this.slabPlasticMaterial, // Right edge
+        this.slabPlasticMaterial, // Left edge
+        this.slabPlasticMaterial, // Top edge
+        this.slabPlasticMaterial, // Bottom edge
+        this.faces.front.material,
+        this.faces.back.material
+      ]
+    );
+    this.scene.add(this.card);
+
+    this.container.addEventListener('pointerdown', this.onPointerDown);
+    this.container.addEventListener('pointermove', this.onPointerMove);
+    this.container.addEventListener('pointerup', this.onPointerUp);
+    this.container.addEventListener('pointercancel', this.onPointerUp);
+    this.resizeObserver = new ResizeObserver(this.onResize);
+    this.resizeObserver.observe(this.container);
+
+    this.scheduler = new RenderScheduler(this.animate);
+    this.scheduler.start();
+    return true;
+  }
+
+  // Shows a cropped photo (a canvas) on one side, or the placeholder for
+  // null. The same canvas may be passed again after being redrawn.
+  setPhoto(side, canvas) {
+    const face = this.faces[side];
+    if (!face) return;
+
+    const current = face.material.map;
+    if (canvas && current !== face.placeholder && current.image === canvas) {
+      current.needsUpdate = true;
+    } else {
+      if (current !== face.placeholder) current.dispose();
+      if (canvas) {
+        face.material.map = new THREE.CanvasTexture(canvas);
+        face.material.map.encoding = THREE.sRGBEncoding;
+        face.material.map.anisotropy = this.renderer.capabilities.getMaxAnisotropy();
+      } else {
+        face.material.map = face.placeholder;
+      }
+      face.material.needsUpdate = true;
+    }
+
+    // Turn the side that changed towards the viewer
+    this.showSide(side);
+  }
+
+  showSide(side) {
+    const facingBack = Math.cos(this.targetRotationY) < 0;
+    if ((side === 'back') !== facingBack) this.flip();
+    this.scheduler.requestRender();
+  }
+
+  flip() {
+    this.targetRotationY += Math.PI;
+    this.scheduler.requestRender();
+  }
+
+  onPointerDown(event) {
+    this.dragPointerId = event.pointerId;
+    this.lastDragX = event.clientX;
+    this.lastDragY = event.clientY;
+    this.container.setPointerCapture(event.pointerId);
+    this.container.classList.add('dragging');
+  }
+
+  onPointerMove(event) {
+    if (event.pointerId !== this.dragPointerId) return;
+
+    const dx = event.clientX - this.lastDragX;
+    const dy = event.clientY - this.lastDragY;
+    this.lastDragX = event.clientX;
+    this.lastDragY = event.clientY;
+
+    this.targetRotationY += dx * this.DRAG_SENSITIVITY;
+    this.targetRotationX = THREE.MathUtils.clamp(
+      this.targetRotationX + dy * this.DRAG_SENSITIVITY,
+      -Math.PI / 3,
+      Math.PI / 3
+    );
+    this.scheduler.requestRender();
+  }
+
+  onPointerUp(event) {
+    if (event.pointerId !== this.dragPointerId) return;
+
+    this.dragPointerId = null;
+    this.container.classList.remove('dragging');
+    // Settle back upright, facing whichever side is nearer
+    this.targetRotationX = 0;
+    this.targetRotationY = Math.round(this.targetRotationY / Math.PI) * Math.PI;
+    this.scheduler.requestRender();
+  }
+
+  onResize() {
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+    if (width === 0 || height === 0) return;
+
+    this.renderer.setSize(width, height);
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.scheduler.requestRender();
+  }
+
+  // Returns false once the card has come to rest
+  animate() {
+    this.rotationX += (this.targetRotationX - this.rotationX) * this.ROTATION_SMOOTHING;
+    this.rotationY += (this.targetRotationY - this.rotationY) * this.ROTATION_SMOOTHING;
+    this.card.rotation.set(this.rotationX, this.rotationY, 0);
+    this.renderer.render(this.scene, this.camera);
+
+    return (
+      this.dragPointerId !== null ||
+      Math.abs(this.targetRotationX - this.rotationX) > 0.0005 ||
+      Math.abs(this.targetRotationY - this.rotationY) > 0.0005
+    );
+  }
+
+  destroy() {
+    if (!this.renderer) return;
+
+    this.scheduler.stop();
+    this.resizeObserver.disconnect();
+    this.container.removeEventListener('pointerdown', this.onPointerDown);
+    this.container.removeEventListener('pointermove', this.onPointerMove);
+    this.container.removeEventListener('pointerup', this.onPointerUp);
+    this.container.removeEventListener('pointercancel', this.onPointerUp);
+    this.container.classList.remove('dragging');
+
+    Object.values(this.faces).forEach((face) => face.placeholder.dispose());
+    disposeObject3D(this.scene); // Includes the plastic and current photo textures
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+    this.renderer.domElement.remove();
+
+    this.renderer = this.scene = this.camera = this.card = this.scheduler = null;
+    this.faces = {};
+  }
+}
@@ -1,5 +1,19 @@
 import * as THREE from 'three';
+import { navigate } from 'astro:transitions/client';
 import { RoundedBoxGeometry } from 'three/examples/jsm/geometries/RoundedBoxGeometry.js';
+import { createCardFaceMaterial } from './CardFaceMaterial.js';
+import { getAnalytics, HoverTracker } from './analytics.js';
+import { categoryUrl, textureUrl } from './catalog.js';
+import { Timeline, TimelineClock } from './Timeline.js';
+import { disposeObject3D } from './dispose.js';
+import { CARD_CORNER_RADIUS, CARD_DEPTH, CARD_HEIGHT, CARD_WIDTH } from './cardDimensions.js';
+import { chooseCategoryLayout } from './categoryLayouts.js';
+import {
+  categoryExitPresets,
+  categoryTimelinePresets,
+  DEFAULT_CATEGORY_EXIT,
+  DEFAULT_CATEGORY_TIMELINE
+} from './categoryTimelines.js';
 
 
 export class CategoryCards {
@@ -8,15 +22,37 @@ export class CategoryCards {
     this.container = null;
     this.camera = null;
     this.scene = null;
-    this.renderer = null;
+    this.renderer = null; // Shared with the background scene
+    this.rendererSize = new THREE.Vector2();
     this.sectionTop = 0;
     this.sectionBottom = 0;
     
     // Animation state
     this.scrollProgress = 0; // 0 to 1 based on scroll through section
-    this.ANIMATION_SCROLL_DISTANCE = 3200; // Pixels to scroll for full animation (adjustable)
+    this.BASE_ANIMATION_SCROLL_DISTANCE = 3200; // Pixels to scroll for full animation (adjustable)
+    this.ANIMATION_SCROLL_DISTANCE = this.BASE_ANIMATION_SCROLL_DISTANCE; // Shortened on small screens
     this.STICKY_BUFFER = 0; // Extra scroll after animation before unstick
     this.stickyStartScroll = null; // Track when section became sticky
+    this.progressOverride = null; // { progress, exitProgress } pinned by setScrollProgress()
+    
+    // Flip/spread timeline, driven by scroll progress or by wall-clock time
+    this.timeline = categoryTimelinePresets[DEFAULT_CATEGORY_TIMELINE]();
+    this.timelineDriver = 'scroll'; // 'scroll' | 'clock'
+    this.timelineClock = new TimelineClock(this.timeline.duration);
+    this.animationProgress = 0; // Timeline progress actually applied to the cards
+    this.milestonesReached = new Set(); // Analytics milestones already reported
+    
+    // Exit timeline, driven by how far the next section has scrolled up
+    // towards the cards (null to keep the cards in place)
+    this.exitTimeline = categoryExitPresets[DEFAULT_CATEGORY_EXIT]();
+    this.exitProgress = 0;
+    this.EXIT_SCROLL_RATIO = 0.8; // Viewport heights of scrolling the exit takes
+    
+    // Layout and hover tuning
+    this.CARD_MARGIN = 0.85; // Share of the visible width the spread may fill
+    this.HOVER_SCALE = 1.1;
+    this.HOVER_Z = 1.5;
+    this.HOVER_SMOOTHING = 0.15;
     
     // Interaction state
     this.raycaster = null; // Will be initialized in init()
@@ -24,15 +60,58 @@ export class CategoryCards {
     this.hoveredCard = null;
     this.interactionsEnabled = false;
     this.mouseIsOver = false; // Track if mouse is over canvas
+    this.focusedCard = null; // Card whose accessible button has keyboard focus
+    this.tappedCard = null; // Touch: first tap highlights a card, second tap opens it
+    this.activePointer = null; // { id, type, x, y, time } for the pointer currently down
+    this.TAP_MAX_DISTANCE = 10; // px a pointer may move and still count as a tap
+    this.TAP_MAX_DURATION = 500; // ms
+    this.hoverTracker = new HoverTracker('categories');
+    
+    this.drawnRect = null; // Set by render()
+    
+    // Spread layout, chosen and sized by updateCardLayout()
+    this.layoutName = null;
+    this.cardScale = 0;
+    this.segments = 4; // Rounded corner segments, lowered by the performance governor
+    
+    // Swipe carousel state (narrow viewports)
+    this.swipeQuery = null;
+    this.swipeMode = false;
+    this.isSwiping = false;
+    this.carouselIndex = 0; // Card snapped to the centre
+    this.carouselPosition = 0; // Smoothed, fractional index shown at the centre
+    this.swipeDragOffset = 0; // Drag distance in card slots
+    this.swipeSpacing = 0;
+    this.swipeScale = 1;
+    this.pixelsToWorld = 0;
+    this.FLICK_VELOCITY = 0.5; // px/ms that advances a card even on a short swipe
+    
+    // Accessible layer: one button per card, kept over its mesh
+    this.a11yList = null;
+    this.a11yButtons = [];
+    this.liveRegion = null;
+    this.projectedBox = new THREE.Box3();
+    this.projectedPoint = new THREE.Vector3();
+    this.viewportSize = new THREE.Vector2(); // World size of the whole viewport at the cards' depth
+    
+    // Visibility state
+    this.isInView = true; // Updated by IntersectionObserver once init() runs
+    this.intersectionObserver = null;
     
     // Bind methods
-    this.onMouseMove = this.onMouseMove.bind(this);
-    this.onMouseLeave = this.onMouseLeave.bind(this);
-    this.onClick = this.onClick.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerLeave = this.onPointerLeave.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onPointerCancel = this.onPointerCancel.bind(this);
     this.onResize = this.onResize.bind(this);
+    this.onButtonKeyDown = this.onButtonKeyDown.bind(this);
+    this.onButtonFocus = this.onButtonFocus.bind(this);
+    this.onButtonBlur = this.onButtonBlur.bind(this);
+    this.onButtonClick = this.onButtonClick.bind(this);
   }
 
-  init() {
+  init(renderer) {
     this.container = document.getElementById('category-cards-container');
     if (!this.container) return;
 
@@ -56,73 +135,49 @@ export class CategoryCards {
     directionalLight.position.set(5, 5, 5);
     this.scene.add(directionalLight);
 
-    this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-    this.renderer.setSize(width, height);
-    this.renderer.setPixelRatio(window.devicePixelRatio);
-    this.container.appendChild(this.renderer.domElement);
-
-    // Add event listeners
-    this.renderer.domElement.addEventListener('mousemove', this.onMouseMove);
-    this.renderer.domElement.addEventListener('mouseleave', this.onMouseLeave);
-    this.renderer.domElement.addEventListener('click', this.onClick);
-    this.renderer.domElement.style.cursor = 'default';
+    // Drawn by the shared background renderer into this container's rectangle,
+    // so the container itself receives the pointer events
+    this.renderer = renderer;
 
-    this.updateSectionDimensions();
-  }
+    // Add event listeners (pointer events cover mouse, touch and pen)
+    this.container.addEventListener('pointermove', this.onPointerMove);
+    this.container.addEventListener('pointerleave', this.onPointerLeave);
+    this.container.addEventListener('pointerdown', this.onPointerDown);
+    this.container.addEventListener('pointerup', this.onPointerUp);
+    this.container.addEventListener('pointercancel', this.onPointerCancel);
+    this.container.style.cursor = 'default';
 
-  createCards(textureLoader, slabPlasticMaterial) {
-    const categories = [
-      { name: 'Baseball', image: '/onlygoats-draft/assets/Baseball-Category.png' },
-      { name: 'Basketball', image: '/onlygoats-draft/assets/Basketball-Category.png' },
-      { name: 'Hockey', image: '/onlygoats-draft/assets/Hockey-Category.png' },
-      { name: 'Golf', image: '/onlygoats-draft/assets/Golf-Category.png' },
-      { name: 'Football', image: '/onlygoats-draft/assets/Football-Category.png' }
-    ];
+    // Narrow viewports show the spread as a swipeable carousel
+    this.swipeQuery = window.matchMedia('(max-width: 768px)');
+    this.swipeMode = this.swipeQuery.matches;
 
-    // Calculate card scale based on viewport width
-    const containerWidth = this.container ? this.container.offsetWidth : window.innerWidth;
-    const containerHeight = this.container ? this.container.offsetHeight : 500;
-    const aspect = containerWidth / containerHeight;
-
-    // Calculate visible width in 3D units
-    const visibleWidth = this.calculateVisibleWidth(20, 45, aspect);
-
-    // Card dimensions and spacing in base units
-    const baseCardWidth = 1.5;
-    const baseSpacingRatio = 0.2;
-
-    // Calculate total width needed:
-    // - 4 gaps between 5 cards, each gap = cardWidth * spacingRatio
-    // - Plus half a card width on each edge (left and right)
-    // Total = 4 * cardWidth * (1 + spacingRatio) + cardWidth
-    //       = cardWidth * (4 * (1 + spacingRatio) + 1)
-    //       = cardWidth * (4 * 1.3 + 1) = cardWidth * 6.2
-    const totalUnitsNeeded = baseCardWidth * (4 * (1 + baseSpacingRatio) + 1);
-
-    // Calculate scale to fit in visible width (with 15% margin for breathing room)
-    const CARD_SCALE = Math.min(5, (visibleWidth * 0.85) / totalUnitsNeeded);
+    // Skip animating and drawing this scene while its container is off-screen
+    if ('IntersectionObserver' in window) {
+      this.intersectionObserver = new IntersectionObserver((entries) => {
+        this.isInView = entries[entries.length - 1].isIntersecting;
+      }, { rootMargin: '100px 0px' });
+      this.intersectionObserver.observe(this.container);
+    }
 
-    const categoryGeometry = new RoundedBoxGeometry(1.5 * CARD_SCALE, 2.1 * CARD_SCALE, 0.05, 4, 0.06);
-    const categoryBackTexture = textureLoader.load('/onlygoats-draft/assets/back.png');
-    const spacing = baseCardWidth * CARD_SCALE * (1 + baseSpacingRatio);
-    
-    // Calculate start position to center the group symmetrically
-    // Position cards at: -2*spacing, -1*spacing, 0, 1*spacing, 2*spacing for 5 cards
-    const centerOffset = (categories.length - 1) / 2;
+    this.updateSectionDimensions();
+  }
 
+  createCards(assetLoader, slabPlasticMaterial, categories) {
     categories.forEach((category, i) => {
-      const frontTexture = textureLoader.load(category.image);
+      const frontTexture = assetLoader.loadTexture(textureUrl(category.image));
+      const backTexture = assetLoader.loadTexture(textureUrl(category.backImage));
 
       const materials = [
         slabPlasticMaterial,
         slabPlasticMaterial,
         slabPlasticMaterial,
         slabPlasticMaterial,
-        new THREE.MeshStandardMaterial({ map: frontTexture }),
-        new THREE.MeshStandardMaterial({ map: categoryBackTexture })
+        createCardFaceMaterial(frontTexture, category.finish),
+        new THREE.MeshStandardMaterial({ map: backTexture })
       ];
 
-      const categoryMesh = new THREE.Mesh(categoryGeometry, materials);
+      // Geometry and spread positions are filled in by updateCardLayout()
+      const categoryMesh = new THREE.Mesh(undefined, materials);
       // Start stacked at center, with slight Z-offset for depth
       categoryMesh.position.x = i * 0.25;
       categoryMesh.position.y = 0;
@@ -133,7 +188,10 @@ export class CategoryCards {
       categoryMesh.userData = {
         index: i,
         categoryName: category.name,
-        targetX: (i - centerOffset) * spacing, // Position relative to center
+        categorySlug: category.slug,
+        targetX: 0, // Spread pose relative to center, set by updateCardLayout()
+        targetY: 0,
+        targetRotationZ: 0,
         initialX: 0,
         initialRotation: Math.PI,
         targetRotation: 0,
@@ -142,7 +200,8 @@ export class CategoryCards {
         baseScale: 1,
         hoverScale: 1,
         baseZ: i * 0.5,
-        hoverZ: 0
+        hoverZ: 0,
+        emphasized: false // Has cards matching the current search
       };
       
       if (this.scene) {
@@ -150,6 +209,274 @@ export class CategoryCards {
       }
       this.cards.push(categoryMesh);
     });
+
+    this.updateCardLayout();
+    this.createAccessibleLayer();
+  }
+
+  // Sizes the cards so the spread fits the container, and works out where
+  // each one lands. Called again on resize and after changing CARD_MARGIN;
+  // the scroll animation picks the new targets up on its next frame.
+  updateCardLayout() {
+    const containerWidth = this.container ? this.container.offsetWidth : window.innerWidth;
+    const containerHeight = this.container ? this.container.offsetHeight : 500;
+    const aspect = containerWidth / containerHeight;
+
+    // Visible area in 3D units at the cards' depth
+    const visibleWidth = this.calculateVisibleWidth(20, 45, aspect);
+    const visibleHeight = visibleWidth / aspect;
+
+    // Row, arc or two-row grid, whichever suits the container (see categoryLayouts.js)
+    const layout = chooseCategoryLayout(this.cards.length, visibleWidth, visibleHeight, this.CARD_MARGIN);
+    this.layoutName = layout.name;
+
+    // Only rebuild the geometry when the card size actually changes
+    if (Math.abs(layout.scale - this.cardScale) > 1e-3) {
+      this.cardScale = layout.scale;
+      this.updateCardGeometry();
+    }
+
+    this.cards.forEach((card, i) => {
+      const slot = layout.slots[i];
+      card.userData.targetX = slot.x;
+      card.userData.targetY = slot.y;
+      card.userData.targetRotationZ = slot.rotationZ;
+    });
+
+    this.updateSwipeLayout();
+  }
+
+  updateCardGeometry() {
+    const categoryGeometry = new RoundedBoxGeometry(
+      CARD_WIDTH * this.cardScale, CARD_HEIGHT * this.cardScale, CARD_DEPTH, this.segments, CARD_CORNER_RADIUS
+    );
+    const previous = new Set(this.cards.map((card) => card.geometry));
+    this.cards.forEach((card) => {
+      card.geometry = categoryGeometry;
+    });
+    previous.forEach((geometry) => geometry.dispose());
+  }
+
+  setGeometrySegments(segments) {
+    if (segments === this.segments) return;
+    this.segments = segments;
+    if (this.cardScale > 0) this.updateCardGeometry();
+  }
+
+  // Carousel cards are scaled up to fill most of the container, with the
+  // neighbours peeking in from the sides
+  updateSwipeLayout() {
+    if (!this.container || !this.cardScale) return;
+
+    const width = this.container.offsetWidth;
+    const height = this.container.offsetHeight;
+    const visibleWidth = this.calculateVisibleWidth(20, 45, width / height);
+    const visibleHeight = visibleWidth * height / width;
+    const cardWidth = CARD_WIDTH * this.cardScale;
+    const cardHeight = CARD_HEIGHT * this.cardScale;
+
+    this.swipeScale = Math.min((visibleHeight * 0.75) / cardHeight, (visibleWidth * 0.6) / cardWidth);
+    this.swipeSpacing = cardWidth * this.swipeScale * 1.15;
+    this.pixelsToWorld = visibleWidth / width;
+  }
+
+  // Screen readers and keyboard users get a real button per card, positioned
+  // over the mesh each frame, plus a live region naming the focused category
+  createAccessibleLayer() {
+    if (!this.container) return;
+
+    this.a11yList = document.createElement('ul');
+    this.a11yList.className = 'category-card-buttons';
+
+    this.a11yButtons = this.cards.map((card, i) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'category-card-button';
+      button.textContent = card.userData.categoryName;
+      button.setAttribute('aria-label', `${card.userData.categoryName} – browse cards (${i + 1} of ${this.cards.length})`);
+      button.dataset.index = String(i);
+
+      button.addEventListener('keydown', this.onButtonKeyDown);
+      button.addEventListener('focus', this.onButtonFocus);
+      button.addEventListener('blur', this.onButtonBlur);
+      button.addEventListener('click', this.onButtonClick);
+
+      item.appendChild(button);
+      this.a11yList.appendChild(item);
+      return button;
+    });
+
+    this.liveRegion = document.createElement('p');
+    this.liveRegion.className = 'visually-hidden';
+    this.liveRegion.setAttribute('aria-live', 'polite');
+
+    this.container.appendChild(this.a11yList);
+    this.container.appendChild(this.liveRegion);
+  }
+
+  // Keep each button's box over its card's on-screen footprint
+  syncAccessibleLayer() {
+    if (this.a11yButtons.length === 0 || !this.camera) return;
+
+    // Nothing to focus once the exit has carried the cards away
+    this.a11yList.hidden = this.exitProgress >= 1;
+
+    const width = this.container.offsetWidth;
+    const height = this.container.offsetHeight;
+
+    this.cards.forEach((card, i) => {
+      this.projectedBox.setFromObject(card);
+      let minX = Infinity;
+      let minY = Infinity;
+      let maxX = -Infinity;
+      let maxY = -Infinity;
+
+      // Project the 8 corners of the bounding box into container pixels
+      for (let corner = 0; corner < 8; corner++) {
+        this.projectedPoint.set(
+          corner & 1 ? this.projectedBox.max.x : this.projectedBox.min.x,
+          corner & 2 ? this.projectedBox.max.y : this.projectedBox.min.y,
+          corner & 4 ? this.projectedBox.max.z : this.projectedBox.min.z
+        ).project(this.camera);
+
+        const x = (this.projectedPoint.x + 1) / 2 * width;
+        const y = (1 - this.projectedPoint.y) / 2 * height;
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      }
+
+      const style = this.a11yButtons[i].style;
+      style.left = `${minX}px`;
+      style.top = `${minY}px`;
+      style.width = `${maxX - minX}px`;
+      style.height = `${maxY - minY}px`;
+    });
+  }
+
+  onButtonKeyDown(event) {
+    const index = Number(event.currentTarget.dataset.index);
+    const count = this.a11yButtons.length;
+    let nextIndex = null;
+
+    switch (event.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        nextIndex = (index + 1) % count;
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        nextIndex = (index - 1 + count) % count;
+        break;
+      case 'Home':
+        nextIndex = 0;
+        break;
+      case 'End':
+        nextIndex = count - 1;
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    this.a11yButtons[nextIndex].focus();
+  }
+
+  onButtonFocus(event) {
+    const card = this.cards[Number(event.currentTarget.dataset.index)];
+    this.focusedCard = card;
+    if (this.swipeMode) {
+      this.carouselIndex = card.userData.index;
+    }
+    this.announce(card);
+  }
+
+  announce(card) {
+    if (this.liveRegion) {
+      this.liveRegion.textContent = `${card.userData.categoryName}, ${card.userData.index + 1} of ${this.cards.length}`;
+    }
+  }
+
+  onButtonBlur(event) {
+    if (this.focusedCard === this.cards[Number(event.currentTarget.dataset.index)]) {
+      this.focusedCard = null;
+    }
+  }
+
+  onButtonClick(event) {
+    this.activateCard(this.cards[Number(event.currentTarget.dataset.index)]);
+  }
+
+  // Accepts a Timeline, or the name of one of categoryTimelinePresets
+  setTimeline(timeline, driver = this.timelineDriver) {
+    if (typeof timeline === 'string') {
+      if (!categoryTimelinePresets[timeline]) {
+        throw new Error(`[CategoryCards] Unknown timeline preset "${timeline}"`);
+      }
+      timeline = categoryTimelinePresets[timeline]();
+    }
+    if (!(timeline instanceof Timeline)) {
+      throw new Error('[CategoryCards] setTimeline() expects a Timeline or preset name');
+    }
+
+    this.timeline = timeline;
+    this.timelineDriver = driver;
+    this.timelineClock = new TimelineClock(timeline.duration);
+  }
+
+  // Pins the flip/spread (and optionally the exit) at the given 0-1 progress
+  // regardless of scroll position, and poses the cards straight away. Pass
+  // null to hand control back to the page scroll.
+  setScrollProgress(progress, exitProgress = 0) {
+    if (progress === null) {
+      this.progressOverride = null;
+      return;
+    }
+
+    const clamp = (value) => THREE.MathUtils.clamp(Number(value) || 0, 0, 1);
+    this.progressOverride = { progress: clamp(progress), exitProgress: clamp(exitProgress) };
+    this.scrollProgress = this.progressOverride.progress;
+    this.animationProgress = this.progressOverride.progress;
+    this.exitProgress = this.exitTimeline ? this.progressOverride.exitProgress : 0;
+    this.applyScrollAnimation();
+  }
+
+  // Plain-object snapshot of the animation state and every card's transform
+  getState() {
+    return {
+      scrollProgress: this.scrollProgress,
+      animationProgress: this.animationProgress,
+      exitProgress: this.exitProgress,
+      progressPinned: this.progressOverride !== null,
+      layout: this.layoutName,
+      interactionsEnabled: this.interactionsEnabled,
+      hovered: this.hoveredCard ? this.hoveredCard.userData.categorySlug : null,
+      focused: this.focusedCard ? this.focusedCard.userData.categorySlug : null,
+      cards: this.cards.map((card) => ({
+        slug: card.userData.categorySlug,
+        position: card.position.toArray(),
+        rotation: [card.rotation.x, card.rotation.y, card.rotation.z],
+        scale: card.scale.x
+      }))
+    };
+  }
+
+  // Accepts a Timeline, the name of one of categoryExitPresets, or null for
+  // no exit
+  setExitTimeline(timeline) {
+    if (typeof timeline === 'string') {
+      if (!categoryExitPresets[timeline]) {
+        throw new Error(`[CategoryCards] Unknown exit preset "${timeline}"`);
+      }
+      timeline = categoryExitPresets[timeline]();
+    }
+    if (timeline !== null && !(timeline instanceof Timeline)) {
+      throw new Error('[CategoryCards] setExitTimeline() expects a Timeline, preset name or null');
+    }
+
+    this.exitTimeline = timeline;
   }
 
   calculateVisibleWidth(cameraZ, fov, aspect) {
@@ -160,6 +487,12 @@ export class CategoryCards {
   }
 
   updateSectionDimensions() {
+    // Small screens have less sticky scroll to spend, so the whole flip and
+    // spread has to fit in a few viewport heights
+    this.ANIMATION_SCROLL_DISTANCE = this.swipeMode
+      ? Math.min(this.BASE_ANIMATION_SCROLL_DISTANCE, window.innerHeight * 3)
+      : this.BASE_ANIMATION_SCROLL_DISTANCE;
+
     const categoriesSection = document.getElementById('categories-section');
     if (categoriesSection) {
       const rect = categoriesSection.getBoundingClientRect();
@@ -200,118 +533,352 @@ export class CategoryCards {
       this.stickyStartScroll = null;
     }
     
+    // A pinned progress wins over both drivers
+    if (this.progressOverride) {
+      this.scrollProgress = this.progressOverride.progress;
+      this.animationProgress = this.progressOverride.progress;
+    } else if (this.timelineDriver === 'clock') {
+      if (isAtTop) {
+        this.timelineClock.start();
+      } else {
+        this.timelineClock.reset();
+      }
+      this.animationProgress = this.timelineClock.progress();
+    } else {
+      this.animationProgress = this.scrollProgress;
+    }
+    
+    if (this.progressOverride) {
+      this.exitProgress = this.exitTimeline ? this.progressOverride.exitProgress : 0;
+    } else {
+      this.exitProgress = this.exitTimeline ? this.calculateExitProgress(categoriesSection) : 0;
+    }
+    
     // Apply animation based on scroll progress
     this.applyScrollAnimation();
     
     // Check for hover intersections every frame (like the working example)
     this.checkIntersections();
+    this.hoverTracker.update(this.hoveredCard ? this.hoveredCard.userData.categorySlug : null);
+    this.trackMilestones();
+    
+    this.syncAccessibleLayer();
+  }
+  
+  // Reports how far through the flip and spread visitors get, once each per
+  // page view. Progress pinned by setScrollProgress() isn't a visitor's.
+  trackMilestones() {
+    if (this.progressOverride) return;
+    
+    const milestones = [
+      ['flip-done', this.timeline.trackEnd('rotationY')],
+      ['spread-done', 1]
+    ];
+    milestones.forEach(([milestone, at]) => {
+      if (this.animationProgress < at || this.milestonesReached.has(milestone)) return;
+      this.milestonesReached.add(milestone);
+      getAnalytics().emit('categories:milestone', {
+        milestone,
+        scrollDistance: this.ANIMATION_SCROLL_DISTANCE,
+        driver: this.timelineDriver
+      });
+    });
   }
   
+  // 0 until the next section is within EXIT_SCROLL_RATIO viewport heights of
+  // the cards, 1 once it reaches their bottom edge. Depends only on scroll
+  // position, so scrolling back up plays the exit in reverse.
+  calculateExitProgress(categoriesSection) {
+    const next = categoriesSection.nextElementSibling;
+    const leavingEdge = next ? next.getBoundingClientRect().top : categoriesSection.getBoundingClientRect().bottom;
+    const cardsBottom = this.container.getBoundingClientRect().bottom;
+    const distance = window.innerHeight * this.EXIT_SCROLL_RATIO;
+    return THREE.MathUtils.clamp(1 - (leavingEdge - cardsBottom) / distance, 0, 1);
+  }
+
   applyScrollAnimation() {
     if (this.cards.length === 0) return;
     
-    // Easing function for variable speed (slow start, fast middle, slow end)
-    // Use easeInOutCubic for smooth acceleration and deceleration
-    const easeInOutCubic = (t) => {
-      return t < 0.5
-        ? 4 * t * t * t  // Ease in (accelerate)
-        : 1 - Math.pow(-2 * t + 2, 3) / 2;  // Ease out (decelerate)
-    };
-    
-    // Split animation into two phases:
-    // Phase 1 (0 - 0.4): Flip cards
-    // Phase 2 (0.4 - 1.0): Spread cards
-    
-    const flipProgress = Math.min(1, this.scrollProgress / 0.4);
-    const spreadProgress = Math.max(0, (this.scrollProgress - 0.4) / 0.6);
-    
-    const easedFlip = easeInOutCubic(flipProgress);
-    const easedSpread = easeInOutCubic(spreadProgress);
+    // Phases, easing and stagger all come from the timeline (see categoryTimelines.js)
+    const progress = this.animationProgress;
     
-    // Enable interactions only when cards are fully flipped
+    // Enable interactions only when cards are fully flipped and still in place
     const wasEnabled = this.interactionsEnabled;
-    this.interactionsEnabled = flipProgress >= 1;
+    this.interactionsEnabled = progress >= this.timeline.trackEnd('rotationY') && this.exitProgress === 0;
     
     // Reset hover state when interactions are disabled
     if (wasEnabled && !this.interactionsEnabled) {
       this.hoveredCard = null;
-      if (this.renderer && this.renderer.domElement) {
-        this.renderer.domElement.style.cursor = 'default';
+      this.tappedCard = null;
+      if (this.container) {
+        this.container.style.cursor = 'default';
       }
     }
     
-    this.cards.forEach((card) => {
-      // Animate rotation (flip from back to front)
-      card.rotation.y = card.userData.initialRotation * (1 - easedFlip);
+    // In swipe mode the spread lays cards out as a carousel around the snapped card
+    if (this.swipeMode) {
+      const targetPosition = this.carouselIndex - this.swipeDragOffset;
+      this.carouselPosition += (targetPosition - this.carouselPosition) * 0.2;
+    }
+    const layoutScale = this.swipeMode ? this.swipeScale : 1;
+    
+    if (this.exitProgress > 0) {
+      this.updateViewportSize();
+    }
+    
+    this.cards.forEach((card, i) => {
+      // The carousel is always a straight, upright line
+      const targetX = this.swipeMode
+        ? (i - this.carouselPosition) * this.swipeSpacing
+        : card.userData.targetX;
+      const targetY = this.swipeMode ? 0 : card.userData.targetY;
+      const targetRotationZ = this.swipeMode ? 0 : card.userData.targetRotationZ;
+      const values = this.timeline.sample(progress, {
+        index: i,
+        count: this.cards.length,
+        initialRotation: card.userData.initialRotation,
+        initialX: card.userData.initialX,
+        targetX,
+        targetY,
+        targetRotationZ
+      });
+      
+      const exit = this.exitProgress > 0 ? this.exitTimeline.sample(this.exitProgress, {
+        index: i,
+        count: this.cards.length,
+        targetX,
+        side: Math.sign(Math.round(targetX * 100)),
+        viewWidth: this.viewportSize.x,
+        viewHeight: this.viewportSize.y
+      }) : {};
+      
+      // Animate rotation (flip from back to front). Properties a timeline
+      // doesn't define fall back to the card's resting pose.
+      card.rotation.x = (values.rotationX ?? 0) + (exit.rotationX ?? 0);
+      card.rotation.y = (values.rotationY ?? 0) + (exit.rotationY ?? 0);
+      card.rotation.z = (values.rotationZ ?? targetRotationZ) + (exit.rotationZ ?? 0);
       
       // Animate position (spread from center to final positions)
-      const baseX = card.userData.initialX + (card.userData.targetX - card.userData.initialX) * easedSpread;
-      card.position.x = baseX;
+      card.position.x = (values.x ?? targetX) + (exit.x ?? 0);
+      card.position.y = (values.y ?? targetY) + (exit.y ?? 0);
       
-      // Apply hover effects with smooth interpolation
-      const isHovered = this.interactionsEnabled && this.hoveredCard === card;
-      const targetHoverScale = isHovered ? 1.1 : 1;
-      const targetHoverZ = isHovered ? 1.5 : 0;
+      // Apply hover (or keyboard focus) effects with smooth interpolation
+      const { targetHoverScale, targetHoverZ } = this.getHoverTargets(card);
       
       // Smooth interpolation for hover effects
-      card.userData.hoverScale += (targetHoverScale - card.userData.hoverScale) * 0.15;
-      card.userData.hoverZ += (targetHoverZ - card.userData.hoverZ) * 0.15;
+      card.userData.hoverScale += (targetHoverScale - card.userData.hoverScale) * this.HOVER_SMOOTHING;
+      card.userData.hoverZ += (targetHoverZ - card.userData.hoverZ) * this.HOVER_SMOOTHING;
       
-      card.scale.set(card.userData.hoverScale, card.userData.hoverScale, card.userData.hoverScale);
-      card.position.z = card.userData.baseZ + card.userData.hoverZ;
+      const scale = card.userData.hoverScale * layoutScale;
+      card.scale.set(scale, scale, scale);
+      card.position.z = card.userData.baseZ + card.userData.hoverZ + (values.z ?? 0) + (exit.z ?? 0);
     });
   }
 
-  onMouseMove(event) {
-    if (!this.container || !this.renderer) return;
-    
-    this.mouseIsOver = true;
-    
-    // Get bounding box of renderer canvas
-    const rect = this.renderer.domElement.getBoundingClientRect();
+  updateViewportSize() {
+    const height = 2 * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2) * this.camera.position.z *
+      (window.innerHeight / this.container.offsetHeight);
+    this.viewportSize.set(height * window.innerWidth / window.innerHeight, height);
+  }
+
+  // Card under the pointer, keyboard focus or first tap, while the spread
+  // is interactive
+  getHighlightedCard() {
+    if (!this.interactionsEnabled) return null;
+    return this.hoveredCard || this.focusedCard || this.tappedCard;
+  }
+
+  getHoverTargets(card) {
+    const isHighlighted = this.interactionsEnabled &&
+      (this.hoveredCard === card || this.focusedCard === card || this.tappedCard === card ||
+        card.userData.emphasized);
+    return {
+      targetHoverScale: isHighlighted ? this.HOVER_SCALE : 1,
+      targetHoverZ: isHighlighted ? this.HOVER_Z : 0
+    };
+  }
+
+  // Lifts the categories with matching search results; pass [] to clear
+  setEmphasizedCategories(slugs) {
+    const emphasized = new Set(slugs);
+    this.cards.forEach((card) => {
+      card.userData.emphasized = emphasized.has(card.userData.categorySlug);
+    });
+  }
+
+  // True once the spread has finished and no hover effect is still easing
+  isSettled() {
+    if (this.animationProgress < 1 || this.hoveredCard || this.isSwiping) return false;
+    if (this.swipeMode && Math.abs(this.carouselPosition - this.carouselIndex) > 0.001) return false;
+
+    return this.cards.every((card) => {
+      const { targetHoverScale, targetHoverZ } = this.getHoverTargets(card);
+      return Math.abs(card.userData.hoverScale - targetHoverScale) < 0.001 &&
+        Math.abs(card.userData.hoverZ - targetHoverZ) < 0.001;
+    });
+  }
+
+  setPointerFromEvent(event) {
+    // Get bounding box of the container the scene is drawn into
+    const rect = this.container.getBoundingClientRect();
     
     // Convert to normalized device coordinates (-1 to +1)
     this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
     this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  }
+  
+  onPointerMove(event) {
+    if (!this.container || !this.renderer) return;
     
+    // Only a mouse hovers; touch and pen highlight on tap instead
+    if (event.pointerType === 'mouse') {
+      this.mouseIsOver = true;
+      this.setPointerFromEvent(event);
+      // Don't need to call checkIntersections here since it's called every frame in animate()
+    }
+    
+    const pointer = this.activePointer;
+    if (!pointer || pointer.id !== event.pointerId) return;
+    
+    const dx = event.clientX - pointer.x;
+    const dy = event.clientY - pointer.y;
+    
+    // A mostly horizontal drag in swipe mode becomes a carousel swipe
+    if (!this.isSwiping && this.swipeMode && this.interactionsEnabled &&
+        Math.abs(dx) > this.TAP_MAX_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+      this.isSwiping = true;
+      this.container.setPointerCapture(event.pointerId);
+    }
     
-    // Don't need to call checkIntersections here since it's called every frame in animate()
+    if (this.isSwiping && this.swipeSpacing > 0) {
+      this.swipeDragOffset = (dx * this.pixelsToWorld) / this.swipeSpacing;
+    }
   }
   
-  onMouseLeave() {
+  onPointerLeave(event) {
+    if (event.pointerType !== 'mouse') return;
+    
     this.mouseIsOver = false;
     this.mouse.set(-999, -999); // Move mouse off-screen
     
     // Reset hover state
     if (this.hoveredCard) {
       this.hoveredCard = null;
-      if (this.renderer && this.renderer.domElement) {
-        this.renderer.domElement.style.cursor = 'default';
+      if (this.container) {
+        this.container.style.cursor = 'default';
       }
     }
   }
   
-  onClick(event) {
+  onPointerDown(event) {
+    if (!event.isPrimary) return;
     
+    this.activePointer = {
+      id: event.pointerId,
+      type: event.pointerType,
+      x: event.clientX,
+      y: event.clientY,
+      time: performance.now()
+    };
+  }
+  
+  onPointerUp(event) {
+    const pointer = this.activePointer;
+    if (!pointer || pointer.id !== event.pointerId) return;
+    this.activePointer = null;
+    
+    const dx = event.clientX - pointer.x;
+    const dy = event.clientY - pointer.y;
+    const duration = performance.now() - pointer.time;
+    
+    if (this.isSwiping) {
+      this.finishSwipe(dx, duration);
+      return;
+    }
+    
+    // Anything that moved or lingered was a scroll or a drag, not a tap
+    if (Math.hypot(dx, dy) > this.TAP_MAX_DISTANCE || duration > this.TAP_MAX_DURATION) {
+      return;
+    }
+    
+    this.onTap(event);
+  }
+  
+  onPointerCancel(event) {
+    const pointer = this.activePointer;
+    if (!pointer || pointer.id !== event.pointerId) return;
+    this.activePointer = null;
+    
+    // The browser took over (e.g. a vertical scroll), so snap back in place
+    if (this.isSwiping) {
+      this.finishSwipe(0, Infinity);
+    }
+  }
+  
+  onTap(event) {
     if (!this.interactionsEnabled || !this.renderer || !this.camera) {
       return;
     }
     
-    // Use the current hoveredCard since we're checking intersections every frame
-    if (this.hoveredCard) {
-      const categoryName = this.hoveredCard.userData.categoryName;
-      
-      // Dispatch custom event with category info
-      const clickEvent = new CustomEvent('categoryCardClick', {
-        detail: {
-          category: categoryName,
-          index: this.hoveredCard.userData.index
-        }
-      });
-      document.dispatchEvent(clickEvent);
-      
-      // You can add navigation or other actions here
-      // For example: window.location.href = `/category/${categoryName.toLowerCase()}`;
+    // Mouse: use the current hoveredCard since we're checking intersections every frame
+    if (event.pointerType === 'mouse') {
+      if (this.hoveredCard) {
+        this.activateCard(this.hoveredCard);
+      }
+      return;
+    }
+    
+    // Touch and pen: first tap highlights, tapping the same card again opens it
+    this.setPointerFromEvent(event);
+    const card = this.raycastCards();
+    
+    if (!card) {
+      this.tappedCard = null;
+    } else if (card === this.tappedCard) {
+      this.activateCard(card);
+    } else {
+      this.tappedCard = card;
+      if (this.swipeMode) {
+        this.carouselIndex = card.userData.index;
+      }
+      this.announce(card);
+    }
+  }
+  
+  finishSwipe(dx, duration) {
+    const velocity = dx / Math.max(duration, 1);
+    let target = Math.round(this.carouselIndex - this.swipeDragOffset);
+    
+    // A quick flick moves one card even if it didn't travel half a slot
+    if (target === this.carouselIndex && Math.abs(velocity) > this.FLICK_VELOCITY) {
+      target -= Math.sign(velocity);
+    }
+    
+    this.carouselIndex = THREE.MathUtils.clamp(target, 0, this.cards.length - 1);
+    this.swipeDragOffset = 0;
+    this.isSwiping = false;
+    this.tappedCard = null;
+    
+    this.announce(this.cards[this.carouselIndex]);
+  }
+  
+  activateCard(card) {
+    const { categoryName, categorySlug, index } = card.userData;
+    getAnalytics().emit('card:click', { scene: 'categories', id: categorySlug });
+    
+    // Dispatch custom event with category info. Listeners can call
+    // preventDefault() to keep the page from navigating.
+    const clickEvent = new CustomEvent('categoryCardClick', {
+      cancelable: true,
+      detail: {
+        category: categoryName,
+        slug: categorySlug,
+        index
+      }
+    });
+    
+    if (document.dispatchEvent(clickEvent)) {
+      navigate(categoryUrl(categorySlug));
     }
   }
   
@@ -322,8 +889,8 @@ export class CategoryCards {
       if (this.hoveredCard !== null) {
         this.hoveredCard = null;
         this.hoveredCard = null;
-        if (this.renderer && this.renderer.domElement) {
-          this.renderer.domElement.style.cursor = 'default';
+        if (this.container) {
+          this.container.style.cursor = 'default';
         }
       }
       return;
@@ -338,37 +905,92 @@ export class CategoryCards {
       return;
     }
     
-    // Update raycaster with current mouse and camera
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-    
-    // Check for intersections with cards (not recursive)
-    const intersects = this.raycaster.intersectObjects(this.cards, false);
+    const newHovered = this.raycastCards();
     
-    if (intersects.length > 0) {
-      const newHovered = intersects[0].object;
-      
+    if (newHovered) {
       // Only update if it's a different card
       if (this.hoveredCard !== newHovered) {
         this.hoveredCard = newHovered;
-        if (this.renderer && this.renderer.domElement) {
-          this.renderer.domElement.style.cursor = 'pointer';
+        if (this.container) {
+          this.container.style.cursor = 'pointer';
         }
       }
     } else {
       // No intersection - clear hover
       if (this.hoveredCard !== null) {
         this.hoveredCard = null;
-        if (this.renderer && this.renderer.domElement) {
-          this.renderer.domElement.style.cursor = 'default';
+        if (this.container) {
+          this.container.style.cursor = 'default';
         }
       }
     }
   }
 
+  raycastCards() {
+    // Update raycaster with current mouse and camera
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+    
+    // Check for intersections with cards (not recursive)
+    const intersects = this.raycaster.intersectObjects(this.cards, false);
+    return intersects.length > 0 ? intersects[0].object : null;
+  }
+
+  // Draws into the renderer's current target. Records the rectangle it drew
+  // in as drawnRect (CSS pixels from the canvas's bottom-left), or null.
   render() {
-    if (this.renderer && this.scene && this.camera) {
-      this.renderer.render(this.scene, this.camera);
+    this.drawnRect = null;
+    if (!this.renderer || !this.scene || !this.camera || !this.container) return;
+
+    const canvas = this.renderer.domElement;
+    const canvasRect = canvas.getBoundingClientRect();
+    const rect = this.container.getBoundingClientRect();
+
+    // Nothing to draw while the container is entirely off-screen, or once
+    // the exit has carried every card away
+    if (
+      this.exitProgress >= 1 ||
+      rect.bottom <= canvasRect.top ||
+      rect.top >= canvasRect.bottom ||
+      rect.right <= canvasRect.left ||
+      rect.left >= canvasRect.right ||
+      rect.width === 0 ||
+      rect.height === 0
+    ) {
+      return;
+    }
+
+    // WebGL viewport origin is bottom-left, in CSS pixels relative to the canvas
+    const left = rect.left - canvasRect.left;
+    const bottom = canvasRect.bottom - rect.bottom;
+
+    const autoClear = this.renderer.autoClear;
+    this.renderer.autoClear = false;
+    const exiting = this.exitProgress > 0;
+    if (exiting) {
+      // Exiting cards travel beyond the container, so draw over the whole
+      // canvas, framed so the container's rectangle looks the same
+      this.camera.setViewOffset(rect.width, rect.height, -left, canvasRect.top - rect.top, canvasRect.width, canvasRect.height);
+      this.drawnRect = { left: 0, bottom: 0, width: canvasRect.width, height: canvasRect.height };
+    } else {
+      this.drawnRect = { left, bottom, width: rect.width, height: rect.height };
     }
+    const viewport = this.drawnRect;
+    this.renderer.setViewport(viewport.left, viewport.bottom, viewport.width, viewport.height);
+    this.renderer.setScissor(viewport.left, viewport.bottom, viewport.width, viewport.height);
+    this.renderer.setScissorTest(true);
+
+    // Keep the background scene's colour, only reset depth for this region
+    this.renderer.clearDepth();
+    this.renderer.render(this.scene, this.camera);
+    if (exiting) {
+      this.camera.clearViewOffset(); // Raycasting and the accessible layer expect the container framing
+    }
+
+    // Restore full-canvas state for the next background render
+    this.renderer.setScissorTest(false);
+    this.renderer.getSize(this.rendererSize);
+    this.renderer.setViewport(0, 0, this.rendererSize.x, this.rendererSize.y);
+    this.renderer.autoClear = autoClear;
   }
 
   onResize() {
@@ -378,17 +1000,52 @@ export class CategoryCards {
     const catHeight = this.container.offsetHeight;
     this.camera.aspect = catWidth / catHeight;
     this.camera.updateProjectionMatrix();
-    this.renderer.setSize(catWidth, catHeight);
 
+    this.swipeMode = this.swipeQuery ? this.swipeQuery.matches : false;
+    this.updateCardLayout();
     this.updateSectionDimensions();
   }
   
   destroy() {
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      this.intersectionObserver = null;
+    }
+
+    this.a11yButtons.forEach((button) => {
+      button.removeEventListener('keydown', this.onButtonKeyDown);
+      button.removeEventListener('focus', this.onButtonFocus);
+      button.removeEventListener('blur', this.onButtonBlur);
+      button.removeEventListener('click', this.onButtonClick);
+    });
+    if (this.a11yList) this.a11yList.remove();
+    if (this.liveRegion) this.liveRegion.remove();
+    this.a11yButtons = [];
+
     // Clean up event listeners
-    if (this.renderer && this.renderer.domElement) {
-      this.renderer.domElement.removeEventListener('mousemove', this.onMouseMove);
-      this.renderer.domElement.removeEventListener('mouseleave', this.onMouseLeave);
-      this.renderer.domElement.removeEventListener('click', this.onClick);
+    if (this.container) {
+      this.container.removeEventListener('pointermove', this.onPointerMove);
+      this.container.removeEventListener('pointerleave', this.onPointerLeave);
+      this.container.removeEventListener('pointerdown', this.onPointerDown);
+      this.container.removeEventListener('pointerup', this.onPointerUp);
+      this.container.removeEventListener('pointercancel', this.onPointerCancel);
+      this.container.style.cursor = '';
     }
+
+    // The renderer is shared, so it's left to its owner to dispose
+    if (this.scene) {
+      disposeObject3D(this.scene);
+      this.scene.clear();
+    }
+    this.hoverTracker.update(null);
+    this.cards = [];
+    this.scene = null;
+    this.camera = null;
+    this.renderer = null;
+    this.container = null;
+    this.hoveredCard = null;
+    this.focusedCard = null;
+    this.tappedCard = null;
+    this.activePointer = null;
   }
 }
@@ -0,0 +1,244 @@
+// Crops an uploaded photo to the 2.5 x 3.5 card ratio. The photo fills a
+// card-shaped frame; dragging (or the arrow keys) pans it and a range input
+// zooms. Drives one [data-photo] block in src/pages/sell.astro.
+
+const CARD_ASPECT = 2.5 / 3.5;
+const OUTPUT_WIDTH = 500;
+const OUTPUT_HEIGHT = Math.round(OUTPUT_WIDTH / CARD_ASPECT);
+const MAX_FILE_SIZE = 15 * 1024 * 1024; // bytes
+const KEY_PAN_STEP = 10; // px
+
+export class ImageCropper {
+  // onChange(canvas | null) is called after every change to the crop
+  constructor(root, { onChange = () => {} } = {}) {
+    this.root = root;
+    this.input = root.querySelector('input[type="file"]');
+    this.frame = root.querySelector('.crop-frame');
+    this.preview = root.querySelector('.crop-image');
+    this.zoomInput = root.querySelector('.crop-zoom');
+    this.onChange = onChange;
+
+    this.image = null;
+    this.objectUrl = null;
+    this.zoom = 1;
+    this.center = { x: 0, y: 0 }; // Point of the image at the frame's centre, in image pixels
+    this.dragPointerId = null;
+    this.lastDragX = 0;
+    this.lastDragY = 0;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = OUTPUT_WIDTH;
+    this.canvas.height = OUTPUT_HEIGHT;
+
+    this.onFileChange = this.onFileChange.bind(this);
+    this.onZoomInput = this.onZoomInput.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.layout = this.layout.bind(this);
+
+    this.input.addEventListener('change', this.onFileChange);
+    this.zoomInput.addEventListener('input', this.onZoomInput);
+    this.frame.addEventListener('pointerdown', this.onPointerDown);
+    this.frame.addEventListener('pointermove', this.onPointerMove);
+    this.frame.addEventListener('pointerup', this.onPointerUp);
+    this.frame.addEventListener('pointercancel', this.onPointerUp);
+    this.frame.addEventListener('keydown', this.onKeyDown);
+    this.resizeObserver = new ResizeObserver(this.layout);
+    this.resizeObserver.observe(this.frame);
+  }
+
+  // Shows a message instead when the file isn't a usable image
+  async onFileChange() {
+    const file = this.input.files[0];
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      this.fail('Choose an image file (JPEG, PNG or WebP).');
+      return;
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      this.fail('Choose an image under 15 MB.');
+      return;
+    }
+
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    try {
+      image.src = url;
+      await image.decode();
+    } catch (error) {
+      URL.revokeObjectURL(url);
+      this.fail('That image couldn\'t be opened. Try a JPEG or PNG.');
+      return;
+    }
+
+    this.releaseImage();
+    this.image = image;
+    this.objectUrl = url;
+    this.preview.src = url;
+    this.zoom = 1;
+    this.zoomInput.value = '1';
+    this.zoomInput.disabled = false;
+    this.center = { x: image.naturalWidth / 2, y: image.naturalHeight / 2 };
+    this.root.classList.add('has-image');
+    this.setError('');
+    this.update();
+  }
+
+  fail(message) {
+    this.clear();
+    this.setError(message);
+  }
+
+  setError(message) {
+    const error = this.root.querySelector('.field-error');
+    if (error) error.textContent = message;
+    this.input.setAttribute('aria-invalid', message ? 'true' : 'false');
+  }
+
+  // Removes the photo, e.g. after a successful submission
+  clear() {
+    this.releaseImage();
+    this.input.value = '';
+    this.preview.removeAttribute('src');
+    this.zoomInput.disabled = true;
+    this.root.classList.remove('has-image');
+    this.onChange(null);
+  }
+
+  releaseImage() {
+    if (this.objectUrl) URL.revokeObjectURL(this.objectUrl);
+    this.image = null;
+    this.objectUrl = null;
+  }
+
+  // Image pixels per frame pixel is 1 / scale; at zoom 1 the photo just
+  // covers the frame
+  getScale() {
+    const { width, height } = this.frame.getBoundingClientRect();
+    const cover = Math.max(width / this.image.naturalWidth, height / this.image.naturalHeight);
+    return { scale: cover * this.zoom, width, height };
+  }
+
+  // Keeps the frame covered by the photo
+  clampCenter(scale, width, height) {
+    const halfWidth = width / 2 / scale;
+    const halfHeight = height / 2 / scale;
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+    this.center.x = clamp(this.center.x, halfWidth, this.image.naturalWidth - halfWidth);
+    this.center.y = clamp(this.center.y, halfHeight, this.image.naturalHeight - halfHeight);
+  }
+
+  // Positions the on-screen photo to match the crop
+  layout() {
+    if (!this.image) return;
+
+    const { scale, width, height } = this.getScale();
+    this.clampCenter(scale, width, height);
+    const left = width / 2 - this.center.x * scale;
+    const top = height / 2 - this.center.y * scale;
+    this.preview.style.width = `${this.image.naturalWidth * scale}px`;
+    this.preview.style.transform = `translate(${left}px, ${top}px)`;
+  }
+
+  update() {
+    this.layout();
+    this.onChange(this.toCanvas());
+  }
+
+  // The cropped photo at OUTPUT_WIDTH x OUTPUT_HEIGHT, or null without one.
+  // Returns the same canvas every time, redrawn.
+  toCanvas() {
+    if (!this.image) return null;
+
+    const { scale, width, height } = this.getScale();
+    const sourceWidth = width / scale;
+    const sourceHeight = height / scale;
+    const context = this.canvas.getContext('2d');
+    context.drawImage(
+      this.image,
+      this.center.x - sourceWidth / 2,
+      this.center.y - sourceHeight / 2,
+      sourceWidth,
+      sourceHeight,
+      0,
+      0,
+      OUTPUT_WIDTH,
+      OUTPUT_HEIGHT
+    );
+    return this.canvas;
+  }
+
+  toDataURL() {
+    const canvas = this.toCanvas();
+    return canvas ? canvas.toDataURL('image/jpeg', 0.88) : null;
+  }
+
+  onZoomInput() {
+    this.zoom = Number(this.zoomInput.value);
+    this.update();
+  }
+
+  pan(dx, dy) {
+    const { scale } = this.getScale();
+    this.center.x -= dx / scale;
+    this.center.y -= dy / scale;
+    this.update();
+  }
+
+  onPointerDown(event) {
+    if (!this.image) return;
+    this.dragPointerId = event.pointerId;
+    this.lastDragX = event.clientX;
+    this.lastDragY = event.clientY;
+    this.frame.setPointerCapture(event.pointerId);
+    this.frame.classList.add('dragging');
+  }
+
+  onPointerMove(event) {
+    if (event.pointerId !== this.dragPointerId) return;
+
+    const dx = event.clientX - this.lastDragX;
+    const dy = event.clientY - this.lastDragY;
+    this.lastDragX = event.clientX;
+    this.lastDragY = event.clientY;
+    this.pan(dx, dy);
+  }
+
+  onPointerUp(event) {
+    if (event.pointerId !== this.dragPointerId) return;
+
+    this.dragPointerId = null;
+    this.frame.classList.remove('dragging');
+  }
+
+  onKeyDown(event) {
+    if (!this.image) return;
+
+    const moves = {
+      ArrowLeft: [-KEY_PAN_STEP, 0],
+      ArrowRight: [KEY_PAN_STEP, 0],
+      ArrowUp: [0, -KEY_PAN_STEP],
+      ArrowDown: [0, KEY_PAN_STEP]
+    };
+    const move = moves[event.key];
+    if (!move) return;
+
+    event.preventDefault();
+    this.pan(move[0], move[1]);
+  }
+
+  destroy() {
+    this.input.removeEventListener('change', this.onFileChange);
+    this.zoomInput.removeEventListener('input', this.onZoomInput);
+    this.frame.removeEventListener('pointerdown', this.onPointerDown);
+    this.frame.removeEventListener('pointermove', this.onPointerMove);
+    this.frame.removeEventListener('pointerup', this.onPointerUp);
+    this.frame.removeEventListener('pointercancel', this.onPointerUp);
+    this.frame.removeEventListener('keydown', this.onKeyDown);
+    this.resizeObserver.disconnect();
+    this.releaseImage();
+  }
+}
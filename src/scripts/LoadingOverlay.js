@@ -0,0 +1,24 @@
+// Drives the markup in src/components/LoadingOverlay.astro
+export class LoadingOverlay {
+  constructor(element) {
+    this.element = element;
+    this.fill = element ? element.querySelector('.loading-bar-fill') : null;
+  }
+
+  setProgress(loaded, total) {
+    if (!this.element) return;
+
+    const progress = total > 0 ? loaded / total : 1;
+    if (this.fill) {
+      this.fill.style.setProperty('--progress', String(progress));
+    }
+    this.element.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+  }
+
+  hide() {
+    if (!this.element) return;
+
+    this.setProgress(1, 1);
+    this.element.classList.add('loaded');
+  }
+}
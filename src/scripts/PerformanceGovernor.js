@@ -0,0 +1,178 @@
+// Keeps the frame rate up by trading away rendering quality. Measures the
+// interval between continuously rendered frames and the time spent drawing
+// each one, both relative to the display's refresh interval (the shortest
+// interval seen in the window, so a 30 Hz display isn't mistaken for a slow
+// 60 Hz one), and once per window:
+//
+//   over budget: lowers the pixel ratio a step; once that's at its floor,
+//                drops to the next quality level
+//   headroom:    restores a quality level, then raises the pixel ratio
+//
+// Scene code listens with subscribe() and reacts to the level: fewer
+// floating cards, coarser rounded corners, cheaper post-processing.
+
+// Best first. cardFraction is the share of the floating cards kept,
+// segments the RoundedBoxGeometry corner segments, postQuality a level
+// from PostProcessing.js.
+export const PERFORMANCE_LEVELS = [
+  { name: 'high', cardFraction: 1, segments: 4, postQuality: 'high' },
+  { name: 'medium', cardFraction: 0.75, segments: 3, postQuality: 'medium' },
+  { name: 'low', cardFraction: 0.5, segments: 2, postQuality: 'low' },
+  { name: 'minimal', cardFraction: 0.3, segments: 1, postQuality: 'off' }
+];
+
+const MAX_PIXEL_RATIO = 2; // A 3x phone would otherwise draw 9 pixels per CSS pixel
+const MIN_PIXEL_RATIO = 1; // Below 1 the canvas is upscaled and visibly blurry
+const PIXEL_RATIO_STEP = 0.25;
+
+// Load is the larger of the average interval over MISSED_FRAME_BUDGET
+// refresh intervals and the average frame work over WORK_BUDGET of one
+const MISSED_FRAME_BUDGET = 1.35; // 60 Hz: about 45 fps before stepping down
+const WORK_BUDGET = 0.75; // Drawing takes the rest: the GPU, compositing
+const SEVERE_OVERLOAD = 2; // Load at which the level drops straight away too
+const HEADROOM = 0.77; // Load that leaves room to step up: frames within ~4% of the refresh rate
+const SAMPLE_FRAMES = 60; // Frames averaged per window
+const WARMUP_FRAMES = 30; // Frames skipped after a change (shader compiles, buffer resizes)
+const IDLE_GAP = 250; // ms; longer gaps are on-demand renders, not frame time
+const HEADROOM_WINDOWS = 3; // Windows with headroom needed before stepping up
+
+export class PerformanceGovernor {
+  // `level` pins a level by name; the pixel ratio still adapts
+  constructor({ level = null } = {}) {
+    this.maxPixelRatio = Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+    this.minPixelRatio = Math.min(MIN_PIXEL_RATIO, this.maxPixelRatio);
+    this.pixelRatio = this.maxPixelRatio;
+    this.levelIndex = 0;
+    this.pinned = false;
+    this.listeners = new Set();
+
+    this.lastFrameTime = null;
+    this.warmupFrames = WARMUP_FRAMES;
+    this.sampledFrames = 0;
+    this.sampledTime = 0;
+    this.sampledWork = 0;
+    this.shortestInterval = Infinity;
+    this.headroomWindows = 0;
+    // Doubled whenever a step up has to be taken back, so a device that's
+    // just under budget doesn't keep flipping between two settings
+    this.headroomWindowsNeeded = HEADROOM_WINDOWS;
+    this.justSteppedUp = false;
+
+    if (level) this.setLevel(level);
+  }
+
+  get level() {
+    return PERFORMANCE_LEVELS[this.levelIndex];
+  }
+
+  // Pins the named level, or pass 'auto' to adapt again
+  setLevel(name) {
+    if (name === 'auto') {
+      this.pinned = false;
+      this.resetWindow();
+      return;
+    }
+
+    const index = PERFORMANCE_LEVELS.findIndex((level) => level.name === name);
+    if (index === -1) {
+      throw new Error(`[PerformanceGovernor] Unknown level "${name}"`);
+    }
+    this.pinned = true;
+    this.change({ levelIndex: index });
+  }
+
+  // Called with { level, pixelRatio } after every change; returns an
+  // unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  change({ levelIndex = this.levelIndex, pixelRatio = this.pixelRatio }) {
+    if (levelIndex === this.levelIndex && pixelRatio === this.pixelRatio) return;
+
+    this.levelIndex = levelIndex;
+    this.pixelRatio = pixelRatio;
+    this.resetWindow();
+    this.listeners.forEach((listener) => listener({ level: this.level, pixelRatio }));
+  }
+
+  resetWindow() {
+    this.lastFrameTime = null;
+    this.warmupFrames = WARMUP_FRAMES;
+    this.sampledFrames = 0;
+    this.sampledTime = 0;
+    this.sampledWork = 0;
+    this.shortestInterval = Infinity;
+  }
+
+  // Call once per rendered frame with the requestAnimationFrame timestamp
+  // and the ms spent in the frame callback
+  recordFrame(now, workTime) {
+    const interval = this.lastFrameTime === null ? null : now - this.lastFrameTime;
+    this.lastFrameTime = now;
+    if (interval === null || interval > IDLE_GAP) return;
+
+    if (this.warmupFrames > 0) {
+      this.warmupFrames--;
+      return;
+    }
+
+    this.sampledTime += interval;
+    this.sampledWork += workTime;
+    this.shortestInterval = Math.min(this.shortestInterval, interval);
+    this.sampledFrames++;
+    if (this.sampledFrames < SAMPLE_FRAMES) return;
+
+    const refreshInterval = this.shortestInterval;
+    const load = Math.max(
+      this.sampledTime / this.sampledFrames / (refreshInterval * MISSED_FRAME_BUDGET),
+      this.sampledWork / this.sampledFrames / (refreshInterval * WORK_BUDGET)
+    );
+    this.resetWindow();
+    if (load > 1) {
+      this.stepDown(load > SEVERE_OVERLOAD);
+    } else if (load < HEADROOM) {
+      this.headroomWindows++;
+      if (this.headroomWindows >= this.headroomWindowsNeeded) this.stepUp();
+    } else {
+      this.headroomWindows = 0;
+      this.justSteppedUp = false;
+    }
+  }
+
+  stepDown(severe) {
+    if (this.justSteppedUp) this.headroomWindowsNeeded *= 2;
+    this.justSteppedUp = false;
+    this.headroomWindows = 0;
+
+    const canDropLevel = !this.pinned && this.levelIndex < PERFORMANCE_LEVELS.length - 1;
+    const atFloor = this.pixelRatio <= this.minPixelRatio;
+    this.change({
+      pixelRatio: Math.max(this.minPixelRatio, this.pixelRatio - PIXEL_RATIO_STEP),
+      levelIndex: canDropLevel && (atFloor || severe) ? this.levelIndex + 1 : this.levelIndex
+    });
+  }
+
+  // Undoes the last step down: levels were dropped after the pixel ratio,
+  // so they come back first
+  stepUp() {
+    this.headroomWindows = 0;
+    if (!this.pinned && this.levelIndex > 0) {
+      this.justSteppedUp = true;
+      this.change({ levelIndex: this.levelIndex - 1 });
+    } else if (this.pixelRatio < this.maxPixelRatio) {
+      this.justSteppedUp = true;
+      this.change({ pixelRatio: Math.min(this.maxPixelRatio, this.pixelRatio + PIXEL_RATIO_STEP) });
+    }
+  }
+
+  getState() {
+    return {
+      level: this.level.name,
+      pinned: this.pinned,
+      pixelRatio: this.pixelRatio,
+      maxPixelRatio: this.maxPixelRatio
+    };
+  }
+}
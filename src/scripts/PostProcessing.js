@@ -0,0 +1,404 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { FullScreenQuad, Pass } from 'three/examples/jsm/postprocessing/Pass.js';
+import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+
+// Optional effects chain for the shared canvas:
+//
+//   scenes -> depth of field -> bloom -> tone mapping + vignette -> screen
+//
+// Both scenes draw into one buffer with a depth texture. Depth of field
+// blurs around a focus target: the inspected card, or the highlighted
+// category card, in which case only the category cards' rectangle blurs.
+//
+// Quality levels trade effects for speed, down to 'off' (direct rendering,
+// no chain). In 'auto' mode the level follows setAutoQuality(), which
+// three-setup.js feeds from the PerformanceGovernor.
+
+export const POST_QUALITY_PRESETS = {
+  high: { multisample: 4, dofSamples: 24, bloom: true, bloomScale: 1 },
+  medium: { multisample: 4, dofSamples: 12, bloom: true, bloomScale: 0.5 },
+  low: { multisample: 0, dofSamples: 0, bloom: false, bloomScale: 0 }
+};
+
+// Fastest last
+export const POST_QUALITY_LEVELS = ['high', 'medium', 'low', 'off'];
+
+const DOF_SMOOTHING = 0.12;
+
+// Buffers between passes hold sRGB-encoded colour, like the canvas, so the
+// chain matches the direct render path and dark gradients don't band
+const FULLSCREEN_VERTEX = /* glsl */ `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+const DOF_FRAGMENT = /* glsl */ `
+#include <packing>
+
+uniform sampler2D tColor;
+uniform sampler2D tDepth;
+uniform float cameraNear;
+uniform float cameraFar;
+uniform float focusDistance;
+uniform vec4 focusRect; // Min and max uv of the category cards' rectangle
+uniform bool focusInside; // Blur inside focusRect rather than outside it
+uniform float aperture; // Blur radius (uv) per world unit from the focus distance
+uniform float maxBlur;
+uniform float amount;
+uniform float aspect;
+
+varying vec2 vUv;
+
+const float GOLDEN_ANGLE = 2.39996323;
+
+float blurAt(vec2 uv) {
+  vec2 inRect = step(focusRect.xy, uv) * step(uv, focusRect.zw);
+  if ((inRect.x * inRect.y > 0.5) != focusInside) return 0.0;
+
+  float viewDistance = -perspectiveDepthToViewZ(texture2D(tDepth, uv).x, cameraNear, cameraFar);
+  return min(abs(viewDistance - focusDistance) * aperture, maxBlur) * amount;
+}
+
+void main() {
+  vec4 color = texture2D(tColor, vUv);
+
+#if SAMPLES > 0
+  float radius = blurAt(vUv);
+  if (radius > 0.0001) {
+    vec3 sum = sRGBToLinear(color).rgb;
+    float total = 1.0;
+    for (int i = 0; i < SAMPLES; i++) {
+      float r = radius * sqrt((float(i) + 0.5) / float(SAMPLES));
+      float theta = float(i) * GOLDEN_ANGLE;
+      vec2 uv = vUv + vec2(cos(theta) / aspect, sin(theta)) * r;
+      // Sharp neighbours (the card in focus) don't bleed into the blur around them
+      float weight = clamp(blurAt(uv) / r, 0.0, 1.0);
+      sum += sRGBToLinear(texture2D(tColor, uv)).rgb * weight;
+      total += weight;
+    }
+    color = LinearTosRGB(vec4(sum / total, color.a));
+  }
+#endif
+
+  gl_FragColor = color;
+}
+`;
+
+const FINISH_FRAGMENT = /* glsl */ `
+uniform sampler2D tDiffuse;
+uniform float exposure;
+uniform float vignetteDarkness;
+
+varying vec2 vUv;
+
+// Same fit as three's ACESFilmicToneMapping
+vec3 acesFilmic(vec3 color) {
+  const mat3 inputMatrix = mat3(
+    vec3(0.59719, 0.07600, 0.02840), vec3(0.35458, 0.90834, 0.13383), vec3(0.04823, 0.01566, 0.83777)
+  );
+  const mat3 outputMatrix = mat3(
+    vec3(1.60475, -0.10208, -0.00327), vec3(-0.53108, 1.10813, -0.07276), vec3(-0.07367, -0.00605, 1.07602)
+  );
+  color = inputMatrix * (color * exposure / 0.6);
+  vec3 a = color * (color + 0.0245786) - 0.000090537;
+  vec3 b = color * (0.983729 * color + 0.4329510) + 0.238081;
+  return clamp(outputMatrix * (a / b), 0.0, 1.0);
+}
+
+void main() {
+  vec3 color = acesFilmic(sRGBToLinear(texture2D(tDiffuse, vUv)).rgb);
+
+  vec2 centered = vUv - 0.5;
+  color *= 1.0 - vignetteDarkness * smoothstep(0.1, 0.5, dot(centered, centered));
+
+  gl_FragColor = linearToOutputTexel(vec4(color, 1.0));
+}
+`;
+
+// Draws the scenes into a buffer of its own, with a depth texture for the
+// depth of field pass. Leaves the composer's buffers alone.
+class ScenesPass extends Pass {
+  constructor(renderScenes) {
+    super();
+    this.renderScenes = renderScenes;
+    this.needsSwap = false;
+    this.target = null;
+  }
+
+  setSize(width, height) {
+    if (this.target) this.target.setSize(width, height);
+  }
+
+  render(renderer) {
+    renderer.setRenderTarget(this.target);
+    this.renderScenes();
+  }
+}
+
+// Reads ScenesPass's buffer, so it also copies the scenes into the chain
+// when blur is off
+class DepthOfFieldPass extends Pass {
+  constructor(scenesPass) {
+    super();
+    this.scenesPass = scenesPass;
+    this.material = new THREE.ShaderMaterial({
+      defines: { SAMPLES: 0 },
+      uniforms: {
+        tColor: { value: null },
+        tDepth: { value: null },
+        cameraNear: { value: 0.01 },
+        cameraFar: { value: 100 },
+        focusDistance: { value: 10 },
+        focusRect: { value: new THREE.Vector4() },
+        focusInside: { value: false },
+        aperture: { value: 0.002 },
+        maxBlur: { value: 0.008 },
+        amount: { value: 0 },
+        aspect: { value: 1 }
+      },
+      vertexShader: FULLSCREEN_VERTEX,
+      fragmentShader: DOF_FRAGMENT,
+      depthTest: false,
+      depthWrite: false
+    });
+    this.fsQuad = new FullScreenQuad(this.material);
+  }
+
+  setSamples(samples) {
+    if (this.material.defines.SAMPLES === samples) return;
+    this.material.defines.SAMPLES = samples;
+    this.material.needsUpdate = true;
+  }
+
+  setSize(width, height) {
+    this.material.uniforms.aspect.value = width / height;
+  }
+
+  render(renderer, writeBuffer) {
+    const { target } = this.scenesPass;
+    this.material.uniforms.tColor.value = target.texture;
+    this.material.uniforms.tDepth.value = target.depthTexture;
+    renderer.setRenderTarget(this.renderToScreen ? null : writeBuffer);
+    this.fsQuad.render(renderer);
+  }
+}
+
+export class PostProcessing {
+  // `renderScenes` draws everything into the renderer's current target
+  constructor(renderer, renderScenes, { quality = 'auto' } = {}) {
+    this.renderer = renderer;
+    this.renderScenes = renderScenes;
+    this.quality = null;
+    this.auto = false;
+    this.autoQuality = POST_QUALITY_LEVELS[0];
+
+    // Without depth textures (some WebGL1 devices) there's no depth of field
+    this.supportsDepth = renderer.capabilities.isWebGL2 || renderer.extensions.has('WEBGL_depth_texture');
+    this.supportsMultisample = renderer.capabilities.isWebGL2;
+
+    this.size = renderer.getSize(new THREE.Vector2());
+    this.composer = new EffectComposer(renderer);
+    this.scenesPass = new ScenesPass(renderScenes);
+    this.dofPass = new DepthOfFieldPass(this.scenesPass);
+    // Strength, radius, threshold: a soft glow on foil and slab highlights only
+    this.bloomPass = new UnrealBloomPass(this.size.clone(), 0.35, 0.4, 0.85);
+    this.finishPass = new ShaderPass({
+      uniforms: {
+        tDiffuse: { value: null },
+        exposure: { value: 1 },
+        vignetteDarkness: { value: 0.35 }
+      },
+      vertexShader: FULLSCREEN_VERTEX,
+      fragmentShader: FINISH_FRAGMENT
+    });
+    [this.scenesPass, this.dofPass, this.bloomPass, this.finishPass].forEach((pass) => this.composer.addPass(pass));
+
+    // Depth of field focus, eased so it doesn't snap between cards
+    this.focusTarget = null; // { distance, near, far, rect, inside }
+    this.focusAmount = 0;
+    this.focusDistance = 10;
+    this.focusVector = new THREE.Vector3();
+
+    this.setQuality(quality);
+  }
+
+  // 'auto', or one of POST_QUALITY_LEVELS
+  setQuality(quality) {
+    if (quality !== 'auto' && !POST_QUALITY_LEVELS.includes(quality)) {
+      throw new Error(`[PostProcessing] Unknown quality "${quality}"`);
+    }
+
+    this.auto = quality === 'auto';
+    this.applyLevel(this.auto ? this.autoQuality : quality);
+  }
+
+  // Level to use while in 'auto' mode
+  setAutoQuality(quality) {
+    this.autoQuality = quality;
+    if (this.auto && quality !== this.quality) this.applyLevel(quality);
+  }
+
+  applyLevel(level) {
+    const previous = POST_QUALITY_PRESETS[this.quality];
+    this.quality = level;
+
+    const preset = POST_QUALITY_PRESETS[level];
+    if (!preset) {
+      // Direct rendering: give the chain's buffers back until they're needed again
+      this.releaseTargets();
+      return;
+    }
+
+    const multisample = this.supportsMultisample ? preset.multisample : 0;
+    if (!this.scenesPass.target || !previous || previous.multisample !== preset.multisample) {
+      if (this.scenesPass.target) this.disposeSceneTarget();
+      this.scenesPass.target = this.createSceneTarget(multisample);
+    }
+
+    this.dofPass.setSamples(this.supportsDepth ? preset.dofSamples : 0);
+    this.bloomPass.enabled = preset.bloom;
+    this.setSize(this.size.x, this.size.y);
+  }
+
+  createSceneTarget(multisample) {
+    const pixelRatio = this.renderer.getPixelRatio();
+    const width = this.size.x * pixelRatio;
+    const height = this.size.y * pixelRatio;
+    const options = {
+      minFilter: THREE.LinearFilter,
+      magFilter: THREE.LinearFilter,
+      format: THREE.RGBAFormat,
+      encoding: THREE.sRGBEncoding,
+      depthTexture: this.supportsDepth ? new THREE.DepthTexture(width, height, THREE.UnsignedIntType) : undefined
+    };
+
+    if (multisample > 0) {
+      const target = new THREE.WebGLMultisampleRenderTarget(width, height, options);
+      target.samples = multisample;
+      return target;
+    }
+    return new THREE.WebGLRenderTarget(width, height, options);
+  }
+
+  disposeSceneTarget() {
+    const { target } = this.scenesPass;
+    if (target.depthTexture) target.depthTexture.dispose();
+    target.dispose();
+    this.scenesPass.target = null;
+  }
+
+  releaseTargets() {
+    if (this.scenesPass.target) this.disposeSceneTarget();
+    this.composer.renderTarget1.dispose();
+    this.composer.renderTarget2.dispose();
+    this.bloomPass.dispose();
+  }
+
+  setSize(width, height) {
+    this.size.set(width, height);
+    if (!POST_QUALITY_PRESETS[this.quality]) return;
+
+    this.composer.setPixelRatio(this.renderer.getPixelRatio());
+    this.composer.setSize(width, height);
+
+    // Medium quality blurs the bloom at a lower resolution
+    const { bloomScale } = POST_QUALITY_PRESETS[this.quality];
+    if (bloomScale > 0) {
+      const pixelRatio = this.renderer.getPixelRatio();
+      this.bloomPass.setSize(width * pixelRatio * bloomScale, height * pixelRatio * bloomScale);
+    }
+  }
+
+  // Focuses on `object` as seen by `camera`. `rect` is the category cards'
+  // rectangle in CSS pixels from the canvas's bottom-left ({ left, bottom,
+  // width, height }), or null; `inside` says whether the object is in it.
+  // Blur only applies on the object's side of the rectangle. Pass null to
+  // turn depth of field off.
+  setFocus(focus) {
+    if (!focus) {
+      this.focusTarget = null;
+      return;
+    }
+
+    const { object, camera, rect = null, inside = false } = focus;
+    object.getWorldPosition(this.focusVector).applyMatrix4(camera.matrixWorldInverse);
+    this.focusTarget = {
+      distance: -this.focusVector.z,
+      near: camera.near,
+      far: camera.far,
+      rect,
+      inside
+    };
+  }
+
+  updateFocus() {
+    const uniforms = this.dofPass.material.uniforms;
+    const target = this.focusTarget;
+
+    this.focusAmount += ((target ? 1 : 0) - this.focusAmount) * DOF_SMOOTHING;
+    if (Math.abs((target ? 1 : 0) - this.focusAmount) < 0.001) {
+      this.focusAmount = target ? 1 : 0;
+    }
+    uniforms.amount.value = this.focusAmount;
+    if (!target) return;
+
+    this.focusDistance += (target.distance - this.focusDistance) * DOF_SMOOTHING;
+    uniforms.focusDistance.value = this.focusDistance;
+    uniforms.cameraNear.value = target.near;
+    uniforms.cameraFar.value = target.far;
+    uniforms.focusInside.value = target.inside;
+
+    const { rect } = target;
+    if (rect) {
+      uniforms.focusRect.value.set(
+        rect.left / this.size.x,
+        rect.bottom / this.size.y,
+        (rect.left + rect.width) / this.size.x,
+        (rect.bottom + rect.height) / this.size.y
+      );
+    } else {
+      uniforms.focusRect.value.set(0, 0, 0, 0);
+    }
+  }
+
+  render() {
+    if (!POST_QUALITY_PRESETS[this.quality]) {
+      this.renderer.setRenderTarget(null);
+      this.renderScenes();
+      return;
+    }
+
+    this.updateFocus();
+    this.composer.render();
+  }
+
+  // Still easing depth of field in or out
+  isSettled() {
+    if (!POST_QUALITY_PRESETS[this.quality] || this.dofPass.material.defines.SAMPLES === 0) return true;
+    const target = this.focusTarget;
+    return this.focusAmount === (target ? 1 : 0) &&
+      (!target || Math.abs(target.distance - this.focusDistance) < 0.01);
+  }
+
+  getState() {
+    return {
+      quality: this.quality,
+      auto: this.auto,
+      depthOfField: this.focusAmount,
+      focusDistance: this.focusTarget ? this.focusDistance : null
+    };
+  }
+
+  dispose() {
+    this.releaseTargets();
+    this.dofPass.material.dispose();
+    this.finishPass.material.dispose();
+    this.composer.copyPass.material.dispose();
+  }
+}
@@ -1,61 +1,364 @@
 import * as THREE from 'three';
 import { RoundedBoxGeometry } from 'three/examples/jsm/geometries/RoundedBoxGeometry.js';
+import { createCardFaceMaterial } from './CardFaceMaterial.js';
+import { CARD_CORNER_RADIUS, CARD_DEPTH, CARD_HEIGHT, CARD_WIDTH } from './cardDimensions.js';
+import { createSlab, setSlabSegments } from './SlabModel.js';
+import { disposeObject3D } from './dispose.js';
+import { textureUrl } from './catalog.js';
+import { DEFAULT_ORBIT_LAYOUT, orbitLayouts } from './orbitLayouts.js';
+
+// Search matches drift towards the camera and pick up a glow
+const HIGHLIGHT_FORWARD = 2.5;
+const HIGHLIGHT_SCALE = 0.15;
+const HIGHLIGHT_SMOOTHING = 0.1;
+
+const LAYOUT_TRANSITION_DURATION = 1500; // ms
+const MAX_FRAME_STEP = 0.05; // s, so the orbit doesn't jump after the loop idles
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+let glowTexture = null;
+
+// Soft radial falloff shared by every card's glow sprite
+function getGlowTexture() {
+  if (!glowTexture) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 128;
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(64, 64, 0, 64, 64, 64);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.6)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, 128, 128);
+    glowTexture = new THREE.CanvasTexture(canvas);
+  }
+  return glowTexture;
+}
+
+let inCartMaterial = null;
+
+// "In cart" tag shown under cards the visitor has already added
+function getInCartMaterial() {
+  if (!inCartMaterial) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#1f7a3a';
+    context.beginPath();
+    context.moveTo(32, 0);
+    context.arc(224, 32, 32, -Math.PI / 2, Math.PI / 2);
+    context.arc(32, 32, 32, Math.PI / 2, Math.PI * 1.5);
+    context.fill();
+    context.fillStyle = '#ffffff';
+    context.font = '700 30px Inter, Arial, sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText('IN CART ✓', 128, 34);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.encoding = THREE.sRGBEncoding;
+    inCartMaterial = new THREE.SpriteMaterial({ map: texture, depthWrite: false });
+  }
+  return inCartMaterial;
+}
 
 export class RegularCards {
   constructor() {
     this.cards = [];
-  }
+    this.activeCount = 0; // Cards past this are hidden and skipped, to save frame time
+    this.segments = 4; // Rounded corner segments on the card and slab geometry
+    this.cardGeometry = null;
+    this.scene = null;
+    this.layoutName = DEFAULT_ORBIT_LAYOUT;
+    this.slots = {}; // Layout name -> per-card slots, created on first use
+    this.transition = null; // { from: Vector3[], fromFacing, start, duration } while switching layouts
+    this.facing = orbitLayouts[DEFAULT_ORBIT_LAYOUT].facing;
+    this.clock = 0; // Seconds of orbit time, paused while the render loop idles
+    this.lastFrameTime = null;
 
-  createCards(scene, textureLoader, slabPlasticMaterial) {
-    const cardGeometry = new RoundedBoxGeometry(1.5, 2.1, 0.05, 4, 0.06);
+    this.target = new THREE.Vector3();
+    this.spinQuaternion = new THREE.Quaternion();
+    this.faceQuaternion = new THREE.Quaternion();
+    this.swayEuler = new THREE.Euler();
+  }
 
-    const cardImages = [
-      '/onlygoats-draft/assets/Gretzky OPC front.jpg',
-      '/onlygoats-draft/assets/Henderson Topps front.jpg',
-      '/onlygoats-draft/assets/Jordan Fleer front.jpg',
-      '/onlygoats-draft/assets/Jordan Star front.jpg',
-      '/onlygoats-draft/assets/Kiss Comic Front.jpg',
-      '/onlygoats-draft/assets/Tiger Woods Front.jpg',
-      '/onlygoats-draft/assets/Trout Bowman Auto front.jpg'
-    ];
+  // Pass `count` to fill the orbit with more cards than the catalog has;
+  // the catalog repeats to make up the number
+  createCards(scene, assetLoader, slabPlasticMaterial, cards, { count = cards.length } = {}) {
+    this.scene = scene;
+    this.cardGeometry = new RoundedBoxGeometry(CARD_WIDTH, CARD_HEIGHT, CARD_DEPTH, this.segments, CARD_CORNER_RADIUS);
 
-    const backTexture = textureLoader.load('/onlygoats-draft/assets/back.png');
-    cardImages.forEach((imgPath, i) => {
-      const frontTexture = textureLoader.load(imgPath);
+    Array.from({ length: count }, (_, i) => cards[i % cards.length]).forEach((card) => {
+      const frontTexture = assetLoader.loadTexture(textureUrl(card.frontImage));
+      const backTexture = assetLoader.loadTexture(textureUrl(card.backImage));
 
       const materials = [
         slabPlasticMaterial,    // Right edge - plastic
         slabPlasticMaterial,    // Left edge - plastic
         slabPlasticMaterial,    // Top edge - plastic
         slabPlasticMaterial,    // Bottom edge - plastic
-        new THREE.MeshStandardMaterial({ map: frontTexture }), // Front - card image
+        createCardFaceMaterial(frontTexture, card.finish), // Front - card image (with foil finish)
         new THREE.MeshStandardMaterial({ map: backTexture })   // Back - back design
       ];
 
-      const cardMesh = new THREE.Mesh(cardGeometry, materials);
-      cardMesh.position.x = i * 2.5 - 7.5;
+      const cardMesh = new THREE.Mesh(this.cardGeometry, materials);
+
+      // Graded cards get a case and label; raw cards float bare
+      const slab = createSlab(card, { cardWidth: CARD_WIDTH, cardHeight: CARD_HEIGHT, segments: this.segments });
+      if (slab) {
+        slab.traverse((child) => {
+          child.userData.cardRoot = cardMesh;
+        });
+        cardMesh.add(slab);
+      }
+
+      // Glow behind the card, faded in when it matches a search
+      const glow = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: getGlowTexture(),
+        color: 0xffd36b,
+        transparent: true,
+        opacity: 0,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+      }));
+      glow.scale.set(3.2, 4, 1);
+      glow.visible = false;
+      glow.raycast = () => {}; // Never picked by the inspector
+      cardMesh.add(glow);
+
+      const inCartTag = new THREE.Sprite(getInCartMaterial());
+      inCartTag.scale.set(1.2, 0.3, 1);
+      inCartTag.position.y = -1.35;
+      inCartTag.visible = false;
+      inCartTag.raycast = () => {};
+      cardMesh.add(inCartTag);
+
       cardMesh.rotationSpeed = Math.random() * 0.005 + 0.002;
+      cardMesh.userData = {
+        card,
+        held: false, // True while the card inspector owns this mesh
+        highlighted: false, // Matches the current search
+        highlight: 0, // Eased 0-1 version of highlighted
+        glow,
+        inCartTag,
+        slab,
+        layoutPosition: new THREE.Vector3(), // Orbit position before the search highlight
+        spin: new THREE.Euler(), // Free tumble, blended out for layouts that face the camera
+        orbit: {
+          position: new THREE.Vector3(),
+          rotation: new THREE.Euler()
+        }
+      };
       scene.add(cardMesh);
       this.cards.push(cardMesh);
     });
+    this.activeCount = this.cards.length;
+  }
+
+  // Cards that are shown and animated
+  getActiveCards() {
+    return this.cards.slice(0, this.activeCount);
+  }
+
+  // Shows only the first `count` cards (the catalog's own cards come before
+  // any repeats). The rest ease into the re-spaced layout.
+  setActiveCount(count) {
+    count = THREE.MathUtils.clamp(Math.round(count), 1, this.cards.length);
+    if (count === this.activeCount) return;
+
+    this.startTransition();
+    this.activeCount = count;
+    this.slots = {};
+    this.cards.forEach((card, i) => {
+      // The inspector keeps hold of its card until it hands it back
+      card.visible = i < count || card.userData.held;
+    });
+  }
+
+  // Swaps in card and slab geometry with a different number of rounded
+  // corner segments
+  setGeometrySegments(segments) {
+    if (segments === this.segments || !this.cardGeometry) return;
+
+    this.segments = segments;
+    const previous = this.cardGeometry;
+    this.cardGeometry = new RoundedBoxGeometry(CARD_WIDTH, CARD_HEIGHT, CARD_DEPTH, segments, CARD_CORNER_RADIUS);
+    this.cards.forEach((card) => {
+      card.geometry = this.cardGeometry;
+      if (card.userData.slab) setSlabSegments(card.userData.slab, segments);
+    });
+    previous.dispose();
+  }
+
+  // Eases every card from where it is now into the named layout from
+  // orbitLayouts.js
+  setLayout(name, { duration = LAYOUT_TRANSITION_DURATION } = {}) {
+    if (!orbitLayouts[name]) {
+      throw new Error(`Unknown orbit layout "${name}"`);
+    }
+    if (name === this.layoutName) return;
+
+    this.startTransition(duration);
+    this.layoutName = name;
+  }
+
+  // Eases every card from where it is now to wherever the layout puts it next
+  startTransition(duration = LAYOUT_TRANSITION_DURATION) {
+    this.transition = {
+      from: this.cards.map((card) => card.userData.layoutPosition.clone()),
+      fromFacing: this.facing,
+      start: performance.now(),
+      duration
+    };
   }
 
-  animate(timer, scrollProgress, animationSpeed) {
-    const baseRadiusX = 5;
-    const baseRadiusY = 4;
-    const radiusX = baseRadiusX + scrollProgress * 2;
-    const radiusY = baseRadiusY + scrollProgress * 1.5;
+  getSlots(name) {
+    if (!this.slots[name]) {
+      this.slots[name] = orbitLayouts[name].createSlots(this.activeCount);
+    }
+    return this.slots[name];
+  }
+
+  // cameraY is the camera's scroll offset; layouts other than the hero's
+  // follow it so they stay on screen beside their page section
+  animate(timer, scrollProgress, animationSpeed, cameraY = 0) {
+    const now = performance.now();
+    if (this.lastFrameTime !== null) {
+      this.clock += Math.min((now - this.lastFrameTime) / 1000, MAX_FRAME_STEP) * animationSpeed;
+    }
+    this.lastFrameTime = now;
+
+    const layout = orbitLayouts[this.layoutName];
+    const slots = this.getSlots(this.layoutName);
+
+    let blend = 1;
+    if (this.transition) {
+      const t = Math.min(1, (now - this.transition.start) / this.transition.duration);
+      blend = easeInOutCubic(t);
+      if (t === 1) {
+        this.transition = null;
+      }
+    }
+    this.facing = this.transition
+      ? THREE.MathUtils.lerp(this.transition.fromFacing, layout.facing, blend)
+      : layout.facing;
 
-    for (let i = 0; i < this.cards.length; i++) {
+    for (let i = 0; i < this.activeCount; i++) {
       const card = this.cards[i];
+      const data = card.userData;
+      const orbit = data.orbit;
+
+      // Always advance the orbit, even for a held card, so it can be
+      // handed back to exactly where it would have been
+      layout.position(slots[i], this.clock, scrollProgress, this.target);
+      if (layout.followScroll) {
+        this.target.y += cameraY;
+      }
+      if (this.transition) {
+        data.layoutPosition.lerpVectors(this.transition.from[i], this.target, blend);
+      } else {
+        data.layoutPosition.copy(this.target);
+      }
 
-      card.position.x = radiusX * Math.cos(timer * 0.01 + i);
-      card.position.y = radiusY * Math.sin(timer * 0.01 + i * 1.1);
-      card.position.z = 0;
+      // Search matches come forward out of the orbit
+      const targetHighlight = data.highlighted ? 1 : 0;
+      data.highlight += (targetHighlight - data.highlight) * HIGHLIGHT_SMOOTHING;
+      if (Math.abs(targetHighlight - data.highlight) < 0.001) {
+        data.highlight = targetHighlight;
+      }
+      orbit.position.copy(data.layoutPosition);
+      orbit.position.z += data.highlight * HIGHLIGHT_FORWARD;
+      card.scale.setScalar(1 + data.highlight * HIGHLIGHT_SCALE);
+      data.glow.material.opacity = data.highlight;
+      data.glow.visible = data.highlight > 0;
 
-      card.rotation.x += card.rotationSpeed * 0.1;
-      card.rotation.y += card.rotationSpeed * 0.7;
-      card.rotation.z = Math.sin(timer + i) * 0.2;
+      // Tumble, turned towards the camera as far as the layout asks
+      data.spin.x += card.rotationSpeed * 0.1;
+      data.spin.y += card.rotationSpeed * 0.7;
+      data.spin.z = Math.sin(timer + i) * 0.2;
+      if (this.facing > 0) {
+        this.spinQuaternion.setFromEuler(data.spin);
+        this.swayEuler.set(0, Math.sin(this.clock * 0.5 + i) * 0.15, Math.sin(this.clock * 0.3 + i) * 0.05);
+        this.faceQuaternion.setFromEuler(this.swayEuler);
+        this.spinQuaternion.slerp(this.faceQuaternion, this.facing);
+        orbit.rotation.setFromQuaternion(this.spinQuaternion);
+      } else {
+        orbit.rotation.copy(data.spin);
+      }
+
+      if (!data.held) {
+        card.position.copy(orbit.position);
+        card.rotation.copy(orbit.rotation);
+      }
+    }
+
+    // A card the inspector held past setActiveCount() goes once it's handed back
+    for (let i = this.activeCount; i < this.cards.length; i++) {
+      if (this.cards[i].visible && !this.cards[i].userData.held) {
+        this.cards[i].visible = false;
+      }
     }
   }
+
+  // Highlights the cards with the given catalog ids; pass [] to clear
+  setHighlightedCards(cardIds) {
+    const ids = new Set(cardIds);
+    this.cards.forEach((card) => {
+      card.userData.highlighted = ids.has(card.userData.card.id);
+    });
+  }
+
+  // Tags the cards with the given catalog ids as already in the cart
+  setCartCards(cardIds) {
+    const ids = new Set(cardIds);
+    this.cards.forEach((card) => {
+      card.userData.inCartTag.visible = ids.has(card.userData.card.id);
+    });
+  }
+
+  // Plain-object snapshot of the layout and every card's transform
+  getState() {
+    return {
+      layout: this.layoutName,
+      transitioning: this.transition !== null,
+      activeCount: this.activeCount,
+      segments: this.segments,
+      cards: this.getActiveCards().map((card) => ({
+        id: card.userData.card.id,
+        position: card.position.toArray(),
+        rotation: [card.rotation.x, card.rotation.y, card.rotation.z],
+        held: card.userData.held,
+        highlighted: card.userData.highlighted
+      }))
+    };
+  }
+
+  getCardMesh(cardId) {
+    return this.getActiveCards().find((card) => card.userData.card.id === cardId) || null;
+  }
+
+  // Removes the cards from the scene and frees their GPU resources
+  dispose() {
+    this.cards.forEach((card) => {
+      if (this.scene) this.scene.remove(card);
+      disposeObject3D(card);
+    });
+    this.cards = [];
+    this.activeCount = 0;
+    this.cardGeometry = null;
+    this.slots = {};
+    this.transition = null;
+    this.scene = null;
+  }
+
+  // True once any layout change and every search highlight has finished
+  // easing in or out
+  isSettled() {
+    return !this.transition && this.getActiveCards().every((card) => card.userData.highlight === (card.userData.highlighted ? 1 : 0));
+  }
 }
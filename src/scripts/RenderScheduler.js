@@ -0,0 +1,114 @@
+// Drives the requestAnimationFrame loop. The frame callback returns true
+// while something is still moving; once it returns false the loop stops and
+// only runs again when requestRender() is called (input, resize, scroll...).
+// The loop is also suspended entirely while the page is hidden.
+export class RenderScheduler {
+  constructor(frameCallback) {
+    this.frameCallback = frameCallback;
+    this.rafId = null;
+    this.running = false;
+    this.lastFrameStart = null;
+    this.listeners = new Set();
+
+    // Per-frame timing, exposed through getStats()
+    this.stats = {
+      mode: 'stopped', // 'continuous' | 'on-demand' | 'paused' | 'stopped'
+      frameTime: 0, // ms spent in the last frame callback
+      averageFrameTime: 0, // Exponential moving average of frameTime
+      frameStart: 0, // requestAnimationFrame timestamp of the last frame
+      frameInterval: 0, // ms between the last two rendered frames
+      fps: 0,
+      framesRendered: 0
+    };
+    this.AVERAGE_WEIGHT = 0.1;
+
+    // Bind methods
+    this.onFrame = this.onFrame.bind(this);
+    this.onVisibilityChange = this.onVisibilityChange.bind(this);
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    document.addEventListener('visibilitychange', this.onVisibilityChange);
+    this.requestRender();
+  }
+
+  stop() {
+    this.running = false;
+    this.stats.mode = 'stopped';
+    document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    this.cancelFrame();
+  }
+
+  // Wake the loop for at least one frame
+  requestRender() {
+    if (!this.running || document.hidden || this.rafId !== null) return;
+    this.rafId = requestAnimationFrame(this.onFrame);
+  }
+
+  cancelFrame() {
+    if (this.rafId !== null) {
+      cancelAnimationFrame(this.rafId);
+      this.rafId = null;
+    }
+  }
+
+  onVisibilityChange() {
+    if (document.hidden) {
+      this.cancelFrame();
+      this.stats.mode = 'paused';
+      // Don't count the hidden period as one long frame interval
+      this.lastFrameStart = null;
+    } else {
+      this.requestRender();
+    }
+  }
+
+  onFrame(now) {
+    this.rafId = null;
+    if (!this.running || document.hidden) return;
+
+    const start = performance.now();
+    const keepAnimating = this.frameCallback(now);
+    const frameTime = performance.now() - start;
+
+    this.recordFrame(now, frameTime);
+    this.stats.mode = keepAnimating ? 'continuous' : 'on-demand';
+
+    if (keepAnimating) {
+      this.requestRender();
+    } else {
+      // The next woken frame shouldn't report the idle gap as its interval
+      this.lastFrameStart = null;
+    }
+  }
+
+  recordFrame(now, frameTime) {
+    const stats = this.stats;
+    stats.frameTime = frameTime;
+    stats.averageFrameTime = stats.framesRendered === 0
+      ? frameTime
+      : stats.averageFrameTime + (frameTime - stats.averageFrameTime) * this.AVERAGE_WEIGHT;
+
+    if (this.lastFrameStart !== null) {
+      stats.frameInterval = now - this.lastFrameStart;
+      stats.fps = stats.frameInterval > 0 ? 1000 / stats.frameInterval : 0;
+    }
+    this.lastFrameStart = now;
+    stats.frameStart = now;
+    stats.framesRendered++;
+
+    this.listeners.forEach((listener) => listener(stats));
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+
+  // Called with the stats object after every rendered frame
+  addFrameListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
@@ -0,0 +1,186 @@
+import * as THREE from 'three';
+import { RoundedBoxGeometry } from 'three/examples/jsm/geometries/RoundedBoxGeometry.js';
+import { describeCard, isGraded } from './catalog.js';
+
+// Proportions of a real slab relative to the card it holds
+const SLAB_MARGIN_RATIO = 0.08; // Plastic border around the card, as a fraction of card width
+const LABEL_HEIGHT_RATIO = 0.22; // Label strip height, as a fraction of card height
+const SLAB_DEPTH = 0.22;
+const CASE_CORNER_RADIUS = 0.08;
+
+const LABEL_CANVAS_WIDTH = 1024;
+const LABEL_CANVAS_HEIGHT = 316; // Matches the label strip's aspect ratio
+
+// Label colours loosely follow each grading company's house style
+const LABEL_STYLES = {
+  PSA: { background: '#ffffff', border: '#c8102e', text: '#111111', accent: '#c8102e' },
+  BGS: { background: '#d9d9d9', border: '#b08d2c', text: '#111111', accent: '#8a6d1f' },
+  SGC: { background: '#111111', border: '#111111', text: '#ffffff', accent: '#b5b5b5' },
+  CGC: { background: '#1f4fa3', border: '#1f4fa3', text: '#ffffff', accent: '#ffffff' },
+  default: { background: '#ffffff', border: '#444444', text: '#111111', accent: '#444444' }
+};
+
+const GRADE_NAMES = {
+  PSA: { 10: 'GEM MT', 9: 'MINT', 8: 'NM-MT', 7: 'NM', 6: 'EX-MT', 5: 'EX', 4: 'VG-EX', 3: 'VG', 2: 'GOOD', 1: 'PR' },
+  BGS: { 10: 'PRISTINE', 9.5: 'GEM MINT', 9: 'MINT', 8.5: 'NM-MT+', 8: 'NM-MT', 7.5: 'NM+', 7: 'NM' },
+  SGC: { 10: 'PRISTINE', 9.5: 'MINT+', 9: 'MINT', 8.5: 'NM-MT+', 8: 'NM-MT', 7: 'NM' },
+  CGC: { 10: 'GEM MINT', 9.9: 'MINT', 9.8: 'NM/M', 9.6: 'NM+', 9.4: 'NM', 9.2: 'NM-', 9: 'VF/NM', 8.5: 'VF+', 8: 'VF' }
+};
+
+// One clear acrylic material shared by every slab
+let caseMaterial = null;
+
+function getCaseMaterial() {
+  if (!caseMaterial) {
+    caseMaterial = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      metalness: 0.1,
+      roughness: 0.05,
+      transparent: true,
+      opacity: 0.18,
+      depthWrite: false
+    });
+  }
+  return caseMaterial;
+}
+
+// Dark plastic for the edges of every card mesh, raw or slabbed. One
+// instance is shared across a page's cards.
+export function createSlabPlasticMaterial() {
+  return new THREE.MeshStandardMaterial({
+    color: 0x444444,
+    metalness: 0.8,
+    roughness: 0.1,
+    side: THREE.FrontSide
+  });
+}
+
+function gradeName(grader, grade) {
+  const names = GRADE_NAMES[grader];
+  return names && names[grade] ? names[grade] : '';
+}
+
+// Breaks text into lines that fit maxWidth on the given context
+function wrapText(context, text, maxWidth) {
+  const words = text.split(' ');
+  const lines = [];
+  let line = '';
+
+  words.forEach((word) => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (context.measureText(candidate).width > maxWidth && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Draws the grading label for one card into a canvas texture
+export function createLabelTexture(card) {
+  const canvas = document.createElement('canvas');
+  canvas.width = LABEL_CANVAS_WIDTH;
+  canvas.height = LABEL_CANVAS_HEIGHT;
+  const context = canvas.getContext('2d');
+  const style = LABEL_STYLES[card.grader] || LABEL_STYLES.default;
+  const width = canvas.width;
+  const height = canvas.height;
+
+  // Background and border
+  context.fillStyle = style.border;
+  context.fillRect(0, 0, width, height);
+  context.fillStyle = style.background;
+  context.fillRect(14, 14, width - 28, height - 28);
+
+  context.fillStyle = style.text;
+  context.textBaseline = 'top';
+
+  // Left: year/set/number and player, upper-cased like a real label
+  context.font = '600 40px Inter, Arial, sans-serif';
+  const description = describeCard(card).toUpperCase();
+  wrapText(context, description, width * 0.6).slice(0, 3).forEach((line, i) => {
+    context.fillText(line, 48, 40 + i * 48);
+  });
+
+  // Right: grader, grade name and number
+  context.textAlign = 'right';
+  context.fillStyle = style.accent;
+  context.font = '700 34px Inter, Arial, sans-serif';
+  context.fillText(card.grader, width - 48, 36);
+
+  context.fillStyle = style.text;
+  context.font = '600 36px Inter, Arial, sans-serif';
+  context.fillText(gradeName(card.grader, card.grade), width - 48, 82);
+  context.font = '700 88px Inter, Arial, sans-serif';
+  context.fillText(String(card.grade), width - 48, 124);
+
+  // Bottom-left: cert number above a barcode-style strip
+  context.textAlign = 'left';
+  context.font = '500 28px Inter, Arial, sans-serif';
+  context.fillText(`CERT #${card.cert}`, 48, height - 100);
+
+  const digits = String(card.cert).replace(/\D/g, '') || '0';
+  let x = 48;
+  for (let i = 0; x < width * 0.45; i++) {
+    const barWidth = 2 + (Number(digits[i % digits.length]) % 4) * 2;
+    context.fillRect(x, height - 60, barWidth, 28);
+    x += barWidth + 4;
+  }
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.encoding = THREE.sRGBEncoding;
+  return texture;
+}
+
+// Builds the acrylic case and label strip around a card of the given size.
+// The returned group is meant to be added as a child of the card mesh, so it
+// follows every transform the card gets. Raw cards return null.
+// `segments` sets how smooth the case's rounded corners are.
+export function createSlab(card, { cardWidth, cardHeight, segments = 4 }) {
+  if (!isGraded(card)) return null;
+
+  const margin = cardWidth * SLAB_MARGIN_RATIO;
+  const labelHeight = cardHeight * LABEL_HEIGHT_RATIO;
+  const slabWidth = cardWidth + margin * 2;
+  const slabHeight = cardHeight + labelHeight + margin * 3;
+
+  const group = new THREE.Group();
+  group.name = 'slab';
+
+  // Card sits in the lower part of the case, label above it
+  const caseGeometry = new RoundedBoxGeometry(slabWidth, slabHeight, SLAB_DEPTH, segments, CASE_CORNER_RADIUS);
+  const caseMesh = new THREE.Mesh(caseGeometry, getCaseMaterial());
+  caseMesh.name = 'slab-case';
+  caseMesh.userData.size = { width: slabWidth, height: slabHeight };
+  caseMesh.position.y = (labelHeight + margin) / 2;
+  caseMesh.renderOrder = 1; // Draw after the card and label it encloses
+  group.add(caseMesh);
+
+  const labelTexture = createLabelTexture(card);
+  const labelFront = new THREE.MeshStandardMaterial({ map: labelTexture, roughness: 0.6 });
+  const labelPlain = new THREE.MeshStandardMaterial({ color: (LABEL_STYLES[card.grader] || LABEL_STYLES.default).border });
+  const labelGeometry = new THREE.BoxGeometry(cardWidth, labelHeight, 0.02);
+  const labelMesh = new THREE.Mesh(labelGeometry, [
+    labelPlain,
+    labelPlain,
+    labelPlain,
+    labelPlain,
+    labelFront,
+    labelPlain
+  ]);
+  labelMesh.position.y = cardHeight / 2 + margin + labelHeight / 2;
+  group.add(labelMesh);
+
+  return group;
+}
+
+// Rebuilds a slab's case with a different number of corner segments
+export function setSlabSegments(slab, segments) {
+  const caseMesh = slab.getObjectByName('slab-case');
+  const { width, height } = caseMesh.userData.size;
+  caseMesh.geometry.dispose();
+  caseMesh.geometry = new RoundedBoxGeometry(width, height, SLAB_DEPTH, segments, CASE_CORNER_RADIUS);
+}
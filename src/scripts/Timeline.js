@@ -0,0 +1,170 @@
+// Small keyframe timeline for per-card animations.
+//
+// A timeline is a list of tracks. Each track animates one property through
+// keyframes placed on a 0-1 progress axis:
+//
+//   {
+//     property: 'rotationY',
+//     stagger: 0.05,          // Progress offset between consecutive cards
+//     staggerFrom: 'start',   // 'start' | 'end' | 'center'
+//     keyframes: [
+//       { at: 0, value: (ctx) => ctx.initialRotation },
+//       { at: 0.4, value: 0, easing: 'easeInOutCubic' } // Easing into this keyframe
+//     ]
+//   }
+//
+// Values are numbers or functions of the per-card context passed to sample().
+// CategoryCards understands x, y, z, rotationX, rotationY and rotationZ.
+// Progress can come from scroll position or from a TimelineClock.
+
+export const easings = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => 1 - (1 - t) * (1 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeOutBack: (t) => {
+    const c1 = 1.70158;
+    const c3 = c1 + 1;
+    return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+  }
+};
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function resolveValue(value, context) {
+  return typeof value === 'function' ? value(context) : value;
+}
+
+export class Timeline {
+  constructor({ tracks, duration = 2000 }) {
+    this.duration = duration; // ms, used when driven by a TimelineClock
+    this.tracks = tracks.map((track) => this.normalizeTrack(track));
+  }
+
+  normalizeTrack(track) {
+    if (!track.property || !Array.isArray(track.keyframes) || track.keyframes.length === 0) {
+      throw new Error(`[timeline] Track needs a property and at least one keyframe: ${JSON.stringify(track)}`);
+    }
+
+    const keyframes = [...track.keyframes].sort((a, b) => a.at - b.at);
+    keyframes.forEach((keyframe) => {
+      if (keyframe.easing && !easings[keyframe.easing]) {
+        throw new Error(`[timeline] Unknown easing "${keyframe.easing}" on track "${track.property}"`);
+      }
+    });
+
+    return {
+      property: track.property,
+      stagger: track.stagger || 0,
+      staggerFrom: track.staggerFrom || 'start',
+      keyframes,
+      start: keyframes[0].at,
+      end: keyframes[keyframes.length - 1].at
+    };
+  }
+
+  // Position of a card in the stagger order (0 = animates first)
+  staggerOrder(track, index, count) {
+    switch (track.staggerFrom) {
+      case 'end':
+        return count - 1 - index;
+      case 'center':
+        return Math.abs(index - (count - 1) / 2);
+      default:
+        return index;
+    }
+  }
+
+  maxStaggerOrder(track, count) {
+    return track.staggerFrom === 'center' ? (count - 1) / 2 : count - 1;
+  }
+
+  // Maps timeline progress to this card's progress along the track's own span.
+  // Staggered cards start later but compress their span, so the last card
+  // still finishes when the track ends.
+  localProgress(track, progress, index, count) {
+    const span = track.end - track.start;
+    if (span <= 0) return progress >= track.end ? 1 : 0;
+
+    const totalStagger = Math.min(track.stagger * this.maxStaggerOrder(track, count), span * 0.9);
+    const order = this.maxStaggerOrder(track, count) > 0
+      ? this.staggerOrder(track, index, count) / this.maxStaggerOrder(track, count)
+      : 0;
+    const cardStart = track.start + totalStagger * order;
+    const cardSpan = span - totalStagger;
+
+    return clamp01((progress - cardStart) / cardSpan);
+  }
+
+  sampleTrack(track, progress, context) {
+    const { keyframes } = track;
+    const local = this.localProgress(track, progress, context.index, context.count);
+
+    // Convert back to the track's progress axis to find the active segment
+    const at = track.start + local * (track.end - track.start);
+
+    if (at <= keyframes[0].at) return resolveValue(keyframes[0].value, context);
+
+    for (let i = 1; i < keyframes.length; i++) {
+      const from = keyframes[i - 1];
+      const to = keyframes[i];
+      if (at <= to.at) {
+        const segment = to.at > from.at ? (at - from.at) / (to.at - from.at) : 1;
+        const eased = easings[to.easing || 'linear'](segment);
+        const a = resolveValue(from.value, context);
+        const b = resolveValue(to.value, context);
+        return a + (b - a) * eased;
+      }
+    }
+
+    return resolveValue(keyframes[keyframes.length - 1].value, context);
+  }
+
+  // Returns { [property]: value } for one card. The context must include
+  // `index` and `count`; anything else is passed through to value functions.
+  sample(progress, context) {
+    const values = {};
+    this.tracks.forEach((track) => {
+      values[track.property] = this.sampleTrack(track, progress, context);
+    });
+    return values;
+  }
+
+  // Progress at which every card has finished the given property's track
+  trackEnd(property) {
+    const track = this.tracks.find((t) => t.property === property);
+    return track ? track.end : 0;
+  }
+}
+
+// Wall-clock driver: turns elapsed time into 0-1 timeline progress
+export class TimelineClock {
+  constructor(duration) {
+    this.duration = duration;
+    this.startTime = null;
+  }
+
+  start(now = performance.now()) {
+    if (this.startTime === null) {
+      this.startTime = now;
+    }
+  }
+
+  reset() {
+    this.startTime = null;
+  }
+
+  isRunning() {
+    return this.startTime !== null;
+  }
+
+  progress(now = performance.now()) {
+    if (this.startTime === null) return 0;
+    return clamp01((now - this.startTime) / this.duration);
+  }
+}
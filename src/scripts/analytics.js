@@ -0,0 +1,234 @@
+// Interaction analytics. The 3D scenes and page scripts emit events on one
+// shared bus; sinks decide where they go:
+//
+//   BeaconSink:  batches events and posts them to ANALYTICS_ENDPOINT (only
+//                registered when there is one)
+//   ConsoleSink: logs each event (development, or add ?analytics-log)
+//   MemorySink:  keeps them in an array, for tests and the scene API
+//
+// Every event type is declared in ANALYTICS_EVENTS with the fields its data
+// must carry, so a typo fails loudly in development instead of polluting the
+// data. Production builds drop such events with a warning instead: emit()
+// runs inside the render loop, which mustn't break over analytics.
+
+// The mock API only runs in dev; production builds without a configured
+// endpoint get null and send nothing
+export const ANALYTICS_ENDPOINT =
+  import.meta.env.PUBLIC_ANALYTICS_ENDPOINT ||
+  (import.meta.env.DEV ? `${import.meta.env.BASE_URL.replace(/\/?$/, '/')}api/analytics` : null);
+
+// `scene` is 'categories', 'categories-html' (the no-WebGL fallback) or
+// 'floating'; `id` a category slug or card id; `dwell` in ms
+export const ANALYTICS_EVENTS = {
+  'card:hover-start': ['scene', 'id'],
+  'card:hover-end': ['scene', 'id', 'dwell'],
+  'card:click': ['scene', 'id'],
+  'categories:milestone': ['milestone', 'scrollDistance'], // 'flip-done' | 'spread-done'
+  'section:view': ['section']
+};
+
+const BATCH_SIZE = 20;
+const FLUSH_INTERVAL = 10000; // ms
+
+export class AnalyticsError extends Error {
+  constructor(message) {
+    super(`[analytics] ${message}`);
+    this.name = 'AnalyticsError';
+  }
+}
+
+export class AnalyticsBus {
+  constructor({ sinks = [] } = {}) {
+    this.sinks = new Set(sinks);
+    // Module state survives ClientRouter navigations, so this spans the visit
+    this.sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Sinks have send(event) and optionally flush() and dispose(); returns a
+  // function that removes the sink again
+  addSink(sink) {
+    this.sinks.add(sink);
+    return () => this.sinks.delete(sink);
+  }
+
+  // Returns the event, or null when it was dropped
+  emit(type, data = {}) {
+    const fields = ANALYTICS_EVENTS[type];
+    const missing = fields ? fields.filter((field) => data[field] === undefined) : [];
+    if (!fields || missing.length > 0) {
+      const error = new AnalyticsError(fields
+        ? `"${type}" is missing ${missing.join(', ')}`
+        : `Unknown event "${type}" (expected one of: ${Object.keys(ANALYTICS_EVENTS).join(', ')})`);
+      if (import.meta.env.DEV) throw error;
+      console.warn(`${error.message}; event dropped`);
+      return null;
+    }
+
+    const event = {
+      type,
+      data,
+      time: Date.now(),
+      page: window.location.pathname,
+      session: this.sessionId
+    };
+    // One broken sink mustn't stop the others, or the page
+    this.sinks.forEach((sink) => {
+      try {
+        sink.send(event);
+      } catch (error) {
+        console.warn('[analytics] Sink failed', error);
+      }
+    });
+    return event;
+  }
+
+  flush() {
+    this.sinks.forEach((sink) => {
+      if (typeof sink.flush === 'function') sink.flush();
+    });
+  }
+}
+
+export class ConsoleSink {
+  send(event) {
+    console.debug(`[analytics] ${event.type}`, event.data);
+  }
+}
+
+export class MemorySink {
+  constructor() {
+    this.events = [];
+  }
+
+  send(event) {
+    this.events.push(event);
+  }
+
+  ofType(type) {
+    return this.events.filter((event) => event.type === type);
+  }
+
+  clear() {
+    this.events = [];
+  }
+}
+
+// Queues events and posts them as { events: [...] } once BATCH_SIZE are
+// waiting, FLUSH_INTERVAL after the first, and when the tab is hidden.
+// sendBeacon lets the last batch survive the tab closing.
+export class BeaconSink {
+  constructor(endpoint = ANALYTICS_ENDPOINT, { batchSize = BATCH_SIZE, flushInterval = FLUSH_INTERVAL } = {}) {
+    this.endpoint = endpoint;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.queue = [];
+    this.timer = null;
+
+    this.flush = this.flush.bind(this);
+    this.onVisibilityChange = this.onVisibilityChange.bind(this);
+    document.addEventListener('visibilitychange', this.onVisibilityChange);
+    window.addEventListener('pagehide', this.flush);
+  }
+
+  send(event) {
+    this.queue.push(event);
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    } else if (this.timer === null) {
+      this.timer = setTimeout(this.flush, this.flushInterval);
+    }
+  }
+
+  onVisibilityChange() {
+    if (document.hidden) this.flush();
+  }
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.queue.length === 0) return;
+
+    const body = JSON.stringify({ events: this.queue });
+    this.queue = [];
+
+    // text/plain is CORS-safelisted, so an endpoint on another origin gets
+    // the beacon without a preflight
+    const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+    if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, blob)) return;
+
+    fetch(this.endpoint, { method: 'POST', body: blob, keepalive: true }).catch(() => {
+      // Analytics are best effort
+    });
+  }
+
+  dispose() {
+    this.flush();
+    document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    window.removeEventListener('pagehide', this.flush);
+  }
+}
+
+// Emits card:hover-start and card:hover-end, with the dwell time, as the
+// id passed to update() changes. Call it every frame with the hovered
+// card's id, or null when nothing is hovered.
+export class HoverTracker {
+  constructor(scene, bus = getAnalytics()) {
+    this.scene = scene;
+    this.bus = bus;
+    this.id = null;
+    this.since = 0;
+  }
+
+  update(id) {
+    if (id === this.id) return;
+
+    const now = performance.now();
+    if (this.id !== null) {
+      this.bus.emit('card:hover-end', { scene: this.scene, id: this.id, dwell: Math.round(now - this.since) });
+    }
+    this.id = id;
+    this.since = now;
+    if (id !== null) {
+      this.bus.emit('card:hover-start', { scene: this.scene, id });
+    }
+  }
+}
+
+// Emits section:view the first time each [data-analytics-section] element
+// fills half the viewport, or is half visible if it's shorter than that.
+// Sends whatever is queued when the page is swapped out.
+export function trackSectionViews() {
+  const sections = document.querySelectorAll('[data-analytics-section]');
+  const bus = getAnalytics();
+
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      const visible = entry.intersectionRect.height;
+      const needed = Math.min(entry.boundingClientRect.height, window.innerHeight) * 0.5;
+      if (!entry.isIntersecting || visible < needed) return;
+
+      observer.unobserve(entry.target);
+      bus.emit('section:view', { section: entry.target.dataset.analyticsSection });
+    });
+  }, { threshold: [0, 0.1, 0.25, 0.5, 0.75, 1] });
+
+  sections.forEach((section) => observer.observe(section));
+
+  return () => {
+    observer.disconnect();
+    bus.flush();
+  };
+}
+
+// One bus per visit, shared by the scenes and page scripts
+let sharedBus = null;
+
+export function getAnalytics() {
+  if (!sharedBus) {
+    sharedBus = new AnalyticsBus({ sinks: ANALYTICS_ENDPOINT ? [new BeaconSink()] : [] });
+    if (import.meta.env.DEV || new URLSearchParams(window.location.search).has('analytics-log')) {
+      sharedBus.addSink(new ConsoleSink());
+    }
+  }
+  return sharedBus;
+}
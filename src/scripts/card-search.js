@@ -0,0 +1,109 @@
+import { getCategory } from './catalog.js';
+
+// Fuzzy matching over the card inventory. Every word of the query has to
+// match at least one field; better matches (whole word, prefix, then
+// substring, one-letter typo, letters in order) and more important fields
+// score higher.
+
+const FIELD_WEIGHTS = {
+  player: 4,
+  set: 2,
+  year: 2,
+  category: 1
+};
+
+const MAX_RESULTS = 8;
+const MIN_SCORE_PER_TOKEN = 0.5; // Drops cards that only matched on loose letters-in-order hits
+
+function normalize(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// True when a and b differ by at most one insertion, deletion or substitution
+function withinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (a.length < b.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+function isSubsequence(token, text) {
+  let i = 0;
+  for (let j = 0; j < text.length && i < token.length; j++) {
+    if (text[j] === token[i]) i++;
+  }
+  return i === token.length;
+}
+
+function scoreToken(token, text) {
+  const words = text.split(' ');
+  if (words.includes(token)) return 1;
+  if (words.some((word) => word.startsWith(token))) return 0.8;
+  if (text.includes(token)) return 0.6;
+
+  // Years and card numbers have to match exactly
+  if (/^\d+$/.test(token)) return 0;
+  if (token.length >= 4 && words.some((word) => withinOneEdit(token, word.slice(0, token.length + 1)))) return 0.5;
+  if (token.length >= 3 && words.some((word) => word[0] === token[0] && isSubsequence(token, word))) return 0.2;
+  return 0;
+}
+
+function searchableFields(card) {
+  const category = getCategory(card.category);
+  return {
+    player: normalize(card.player),
+    set: normalize(card.set),
+    year: normalize(card.year),
+    category: normalize(category ? category.name : card.category)
+  };
+}
+
+// Returns [{ card, score }] for the best matches, best first
+export function searchCards(query, cards) {
+  const tokens = normalize(query).split(' ').filter(Boolean);
+  if (tokens.length === 0) return [];
+
+  const results = [];
+  cards.forEach((card) => {
+    const fields = searchableFields(card);
+    let score = 0;
+
+    for (const token of tokens) {
+      let best = 0;
+      Object.entries(fields).forEach(([field, text]) => {
+        best = Math.max(best, scoreToken(token, text) * FIELD_WEIGHTS[field]);
+      });
+      if (best === 0) return; // Every token has to match something
+      score += best;
+    }
+
+    if (score >= MIN_SCORE_PER_TOKEN * tokens.length) {
+      results.push({ card, score });
+    }
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS);
+}
@@ -0,0 +1,7 @@
+// Size of a card in scene units, shared by every scene that builds card
+// meshes. 1.5 x 2.1 keeps the 2.5 x 3.5 inch trading card ratio.
+
+export const CARD_WIDTH = 1.5;
+export const CARD_HEIGHT = 2.1;
+export const CARD_DEPTH = 0.05;
+export const CARD_CORNER_RADIUS = 0.06;
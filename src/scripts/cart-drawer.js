@@ -0,0 +1,205 @@
+import { describeCard, formatGrade, formatPrice, imageUrl } from './catalog.js';
+import { CHECKOUT_ENDPOINT, CHECKOUT_UNAVAILABLE_MESSAGE, getCartStore } from './cart-store.js';
+
+// Labels for [data-cart-action] buttons, by action and pressed state
+const ACTION_LABELS = {
+  cart: { false: 'Add to cart', true: 'In cart ✓' },
+  wishlist: { false: '♡ Wishlist', true: '♥ Wishlisted' }
+};
+
+// Any <button data-cart-action="cart|wishlist" data-card-id="..."> on the
+// page toggles that card in the store and reflects its state
+export function syncCartButtons(root = document) {
+  const store = getCartStore();
+  root.querySelectorAll('[data-cart-action]').forEach((button) => {
+    const { cartAction, cardId } = button.dataset;
+    if (!cardId || !ACTION_LABELS[cartAction]) return;
+
+    const pressed = cartAction === 'cart' ? store.isInCart(cardId) : store.isWishlisted(cardId);
+    button.setAttribute('aria-pressed', String(pressed));
+    button.textContent = ACTION_LABELS[cartAction][pressed];
+  });
+}
+
+function renderItem(card, actions) {
+  const item = document.createElement('li');
+  item.className = 'cart-item';
+
+  const image = document.createElement('img');
+  image.src = imageUrl(card.frontImage, 'low');
+  image.alt = '';
+  image.loading = 'lazy';
+
+  const text = document.createElement('div');
+  text.className = 'cart-item-text';
+  const player = document.createElement('strong');
+  player.textContent = card.player;
+  text.append(player, `${describeCard(card)} · ${formatGrade(card)}`);
+
+  const side = document.createElement('div');
+  side.className = 'cart-item-actions';
+  const price = document.createElement('span');
+  price.textContent = formatPrice(card.price);
+  side.append(price);
+
+  actions.forEach(({ label, drawerAction }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.dataset.cartDrawer = drawerAction;
+    button.dataset.cardId = card.id;
+    side.append(button);
+  });
+
+  item.append(image, text, side);
+  return item;
+}
+
+export function initCartDrawer() {
+  const root = document.getElementById('cart-drawer');
+  const trigger = document.querySelector('.cart-button');
+  if (!root || !trigger) return;
+
+  const store = getCartStore();
+  const badge = trigger.querySelector('.cart-badge');
+  const cartList = root.querySelector('[data-list="cart"]');
+  const wishlistList = root.querySelector('[data-list="wishlist"]');
+  const cartEmpty = root.querySelector('[data-empty="cart"]');
+  const wishlistEmpty = root.querySelector('[data-empty="wishlist"]');
+  const countField = root.querySelector('[data-total="count"]');
+  const subtotalField = root.querySelector('[data-total="subtotal"]');
+  const checkoutButton = root.querySelector('[data-cart-drawer="checkout"]');
+  const status = root.querySelector('.cart-status');
+  const closeButton = root.querySelector('.cart-close');
+
+  let checkingOut = false;
+
+  const render = () => {
+    const { count, subtotal } = store.getTotals();
+
+    badge.textContent = String(count);
+    badge.hidden = count === 0;
+    trigger.setAttribute('aria-label', count === 0 ? 'Cart' : `Cart, ${count} item${count === 1 ? '' : 's'}`);
+
+    const cartCards = store.getCartCards();
+    cartList.replaceChildren(...cartCards.map((card) => renderItem(card, [
+      { label: 'Remove', drawerAction: 'remove' },
+      { label: 'Save for later', drawerAction: 'save' }
+    ])));
+    cartEmpty.hidden = cartCards.length > 0;
+
+    const wishlistCards = store.getWishlistCards();
+    wishlistList.replaceChildren(...wishlistCards.map((card) => renderItem(card, [
+      { label: store.isInCart(card.id) ? 'In cart' : 'Move to cart', drawerAction: 'move' },
+      { label: 'Remove', drawerAction: 'unsave' }
+    ])));
+    wishlistEmpty.hidden = wishlistCards.length > 0;
+
+    countField.textContent = String(count);
+    subtotalField.textContent = formatPrice(subtotal);
+    checkoutButton.disabled = count === 0 || checkingOut || !CHECKOUT_ENDPOINT;
+
+    syncCartButtons();
+  };
+
+  const open = () => {
+    root.hidden = false;
+    trigger.setAttribute('aria-expanded', 'true');
+    closeButton.focus();
+  };
+
+  const close = () => {
+    if (root.hidden) return;
+    root.hidden = true;
+    trigger.setAttribute('aria-expanded', 'false');
+    trigger.focus();
+  };
+
+  const checkout = async () => {
+    checkingOut = true;
+    status.textContent = 'Placing your order…';
+    render();
+
+    try {
+      const order = await store.checkout();
+      status.textContent = `Order ${order.orderId} confirmed — ${formatPrice(order.total)}. Thank you!`;
+    } catch (error) {
+      status.textContent = error.userMessage || 'Checkout failed. Please try again.';
+      console.error(error);
+    } finally {
+      checkingOut = false;
+      render();
+    }
+  };
+
+  trigger.addEventListener('click', open);
+
+  root.addEventListener('click', (event) => {
+    const button = event.target instanceof Element ? event.target.closest('[data-cart-drawer]') : null;
+    if (!button) return;
+
+    const { cardId } = button.dataset;
+    switch (button.dataset.cartDrawer) {
+      case 'close':
+        close();
+        break;
+      case 'checkout':
+        checkout();
+        break;
+      case 'remove':
+        store.removeFromCart(cardId);
+        break;
+      case 'save':
+        store.addToWishlist(cardId);
+        break;
+      case 'move':
+        store.addToCart(cardId);
+        break;
+      case 'unsave':
+        store.removeFromWishlist(cardId);
+        break;
+    }
+  });
+
+  root.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      close();
+    } else if (event.key === 'Tab') {
+      // Keep focus inside the drawer
+      const focusable = Array.from(root.querySelectorAll('button:not(:disabled)'));
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+  });
+
+  // Add-to-cart and wishlist buttons elsewhere on the page
+  const onDocumentClick = (event) => {
+    const button = event.target instanceof Element ? event.target.closest('[data-cart-action]') : null;
+    if (!button || !button.dataset.cardId) return;
+
+    if (button.dataset.cartAction === 'cart') {
+      store.toggleCart(button.dataset.cardId);
+    } else if (button.dataset.cartAction === 'wishlist') {
+      store.toggleWishlist(button.dataset.cardId);
+    }
+  };
+  document.addEventListener('click', onDocumentClick);
+
+  if (!CHECKOUT_ENDPOINT) status.textContent = CHECKOUT_UNAVAILABLE_MESSAGE;
+
+  const unsubscribe = store.subscribe(render);
+  render();
+
+  return () => {
+    document.removeEventListener('click', onDocumentClick);
+    unsubscribe();
+  };
+}
@@ -0,0 +1,189 @@
+import { catalog } from './catalog.js';
+
+// Cart and wishlist, persisted to localStorage and kept in sync across tabs.
+// Every card in the catalog is one of a kind, so both lists are sets of ids.
+
+const STORAGE_KEY = 'onlygoatz:cart';
+const STORAGE_VERSION = 1;
+
+// The mock API only runs in dev, so production builds need the real endpoint
+// configured; without one this is null and checkout is switched off
+export const CHECKOUT_ENDPOINT =
+  import.meta.env.PUBLIC_CHECKOUT_ENDPOINT ||
+  (import.meta.env.DEV ? `${import.meta.env.BASE_URL.replace(/\/?$/, '/')}api/checkout` : null);
+
+export const CHECKOUT_UNAVAILABLE_MESSAGE = 'Online checkout isn\'t available yet. Contact us to buy these cards.';
+
+export class CheckoutError extends Error {
+  constructor(message) {
+    super(`[cart] ${message}`);
+    this.name = 'CheckoutError';
+    this.userMessage = message;
+  }
+}
+
+function getCard(id) {
+  return catalog.cards.find((card) => card.id === id) || null;
+}
+
+export class CartStore {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.cart = new Set();
+    this.wishlist = new Set();
+    this.listeners = new Set();
+
+    this.onStorage = this.onStorage.bind(this);
+    this.load();
+    window.addEventListener('storage', this.onStorage);
+  }
+
+  load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null');
+    } catch (error) {
+      console.warn('[cart] Ignoring unreadable saved cart', error);
+    }
+
+    // Drop ids for cards that have since left the catalog
+    const known = (ids) => (Array.isArray(ids) ? ids.filter((id) => getCard(id)) : []);
+    const valid = saved && saved.version === STORAGE_VERSION;
+    this.cart = new Set(valid ? known(saved.cart) : []);
+    this.wishlist = new Set(valid ? known(saved.wishlist) : []);
+  }
+
+  save() {
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify({
+        version: STORAGE_VERSION,
+        cart: [...this.cart],
+        wishlist: [...this.wishlist]
+      }));
+    } catch (error) {
+      // Private browsing or a full quota: keep working for this page view
+      console.warn('[cart] Could not save cart', error);
+    }
+    this.notify();
+  }
+
+  // Another tab changed the cart
+  onStorage(event) {
+    if (event.key !== STORAGE_KEY) return;
+    this.load();
+    this.notify();
+  }
+
+  // Calls listener(store) on every change; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+
+  isInCart(id) {
+    return this.cart.has(id);
+  }
+
+  isWishlisted(id) {
+    return this.wishlist.has(id);
+  }
+
+  addToCart(id) {
+    if (!getCard(id) || this.cart.has(id)) return;
+    this.cart.add(id);
+    this.wishlist.delete(id); // Moving from wishlist to cart
+    this.save();
+  }
+
+  removeFromCart(id) {
+    if (this.cart.delete(id)) this.save();
+  }
+
+  toggleCart(id) {
+    if (this.cart.has(id)) this.removeFromCart(id);
+    else this.addToCart(id);
+  }
+
+  // Saving for later moves a card out of the cart
+  addToWishlist(id) {
+    if (!getCard(id) || this.wishlist.has(id)) return;
+    this.wishlist.add(id);
+    this.cart.delete(id);
+    this.save();
+  }
+
+  removeFromWishlist(id) {
+    if (this.wishlist.delete(id)) this.save();
+  }
+
+  toggleWishlist(id) {
+    if (this.wishlist.has(id)) this.removeFromWishlist(id);
+    else this.addToWishlist(id);
+  }
+
+  clearCart() {
+    this.cart.clear();
+    this.save();
+  }
+
+  getCartCards() {
+    return [...this.cart].map(getCard).filter(Boolean);
+  }
+
+  getWishlistCards() {
+    return [...this.wishlist].map(getCard).filter(Boolean);
+  }
+
+  getTotals() {
+    const cards = this.getCartCards();
+    return {
+      count: cards.length,
+      subtotal: cards.reduce((sum, card) => sum + card.price, 0)
+    };
+  }
+
+  // Sends the cart to the checkout endpoint and empties it on success.
+  // Resolves with the order; rejects with a CheckoutError.
+  async checkout() {
+    const items = [...this.cart];
+    if (items.length === 0) {
+      throw new CheckoutError('Your cart is empty.');
+    }
+    if (!CHECKOUT_ENDPOINT) {
+      throw new CheckoutError(CHECKOUT_UNAVAILABLE_MESSAGE);
+    }
+
+    let response;
+    try {
+      response = await fetch(CHECKOUT_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items })
+      });
+    } catch (error) {
+      throw new CheckoutError('Checkout is unavailable right now. Please try again later.');
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new CheckoutError(result.error || `Checkout failed (${response.status}).`);
+    }
+
+    this.clearCart();
+    return result;
+  }
+}
+
+// One store per page, shared by the header, drawer and 3D scenes
+let sharedStore = null;
+
+export function getCartStore() {
+  if (!sharedStore) {
+    sharedStore = new CartStore();
+  }
+  return sharedStore;
+}
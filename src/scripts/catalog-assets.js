@@ -0,0 +1,14 @@
+// Build-time only: runs in Astro frontmatter, never shipped to the browser
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { CatalogError, catalogImages } from './catalog.js';
+
+// Originals live here; src/integrations/card-textures.js generates the served copies
+const SOURCE_ASSETS_DIR = join(process.cwd(), 'src', 'assets');
+
+export function assertCatalogAssets() {
+  const missing = catalogImages().filter((file) => !existsSync(join(SOURCE_ASSETS_DIR, file)));
+  if (missing.length > 0) {
+    throw new CatalogError(`Missing image(s) in src/assets: ${missing.join(', ')}`);
+  }
+}
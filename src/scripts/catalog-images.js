@@ -0,0 +1,14 @@
+// Every image file a catalog references, without duplicates. Free of imports
+// so the card-textures integration can call it from the Astro config.
+export function listCatalogImages(data) {
+  const files = new Set();
+  data.categories.forEach((category) => {
+    files.add(category.image);
+    files.add(category.backImage);
+  });
+  data.cards.forEach((card) => {
+    files.add(card.frontImage);
+    files.add(card.backImage);
+  });
+  return [...files];
+}
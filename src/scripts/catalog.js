@@ -0,0 +1,147 @@
+import rawCatalog from '../data/catalog.json';
+import textureManifest from 'virtual:card-textures';
+import { listCatalogImages } from './catalog-images.js';
+
+const BASE_URL = import.meta.env.BASE_URL.replace(/\/?$/, '/');
+
+// Quality tiers generated by src/integrations/card-textures.js
+export const TEXTURE_TIERS = ['low', 'medium', 'high'];
+
+const CATEGORY_FIELDS = ['slug', 'name', 'image', 'backImage'];
+// Optional per-card/category face finish, rendered by CardFaceMaterial
+export const CARD_FINISHES = ['base', 'holo', 'refractor', 'gold'];
+
+const CARD_FIELDS = ['id', 'player', 'year', 'set', 'number', 'category', 'grader', 'price', 'frontImage', 'backImage'];
+// Graded cards also need these; ungraded cards use grader "raw" and leave them out
+const GRADED_CARD_FIELDS = ['grade', 'cert'];
+
+export const RAW_GRADER = 'raw';
+
+export class CatalogError extends Error {
+  constructor(message) {
+    super(`[catalog] ${message}`);
+    this.name = 'CatalogError';
+  }
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function checkFields(entry, fields, label) {
+  const missing = fields.filter((field) => isMissing(entry[field]));
+  if (missing.length > 0) {
+    throw new CatalogError(`${label} is missing required field(s): ${missing.join(', ')}`);
+  }
+}
+
+function checkFinish(entry, label) {
+  if (entry.finish !== undefined && !CARD_FINISHES.includes(entry.finish)) {
+    throw new CatalogError(`${label} has unknown finish "${entry.finish}" (expected one of: ${CARD_FINISHES.join(', ')})`);
+  }
+}
+
+export function validateCatalog(data) {
+  if (!data || !Array.isArray(data.categories) || !Array.isArray(data.cards)) {
+    throw new CatalogError('catalog must contain "categories" and "cards" arrays');
+  }
+
+  const slugs = new Set();
+  data.categories.forEach((category, i) => {
+    checkFields(category, CATEGORY_FIELDS, `Category #${i} (${category.slug || 'no slug'})`);
+    checkFinish(category, `Category "${category.slug}"`);
+    if (slugs.has(category.slug)) {
+      throw new CatalogError(`Duplicate category slug "${category.slug}"`);
+    }
+    slugs.add(category.slug);
+  });
+
+  const ids = new Set();
+  data.cards.forEach((card, i) => {
+    checkFields(card, CARD_FIELDS, `Card #${i} (${card.id || 'no id'})`);
+    if (isGraded(card)) {
+      checkFields(card, GRADED_CARD_FIELDS, `Graded card "${card.id}"`);
+    }
+    checkFinish(card, `Card "${card.id}"`);
+    if (ids.has(card.id)) {
+      throw new CatalogError(`Duplicate card id "${card.id}"`);
+    }
+    ids.add(card.id);
+    if (!slugs.has(card.category)) {
+      throw new CatalogError(`Card "${card.id}" has an unknown category "${card.category}"`);
+    }
+
+    // Numeric fields drive sorting and filtering, so reject anything else early
+    const numericFields = isGraded(card) ? ['year', 'grade', 'price'] : ['year', 'price'];
+    numericFields.forEach((field) => {
+      if (typeof card[field] !== 'number' || Number.isNaN(card[field])) {
+        throw new CatalogError(`Card "${card.id}" has a non-numeric ${field}: ${JSON.stringify(card[field])}`);
+      }
+    });
+  });
+
+  return data;
+}
+
+export function isGraded(card) {
+  return card.grader !== RAW_GRADER;
+}
+
+export const catalog = validateCatalog(rawCatalog);
+
+export function getCategory(slug) {
+  return catalog.categories.find((category) => category.slug === slug) || null;
+}
+
+export function getCardsInCategory(slug) {
+  return catalog.cards.filter((card) => card.category === slug);
+}
+
+// Every image file referenced by the catalog, without duplicates
+export function catalogImages() {
+  return listCatalogImages(catalog);
+}
+
+// High-density or large screens get the full-size tier
+export function defaultTextureTier() {
+  if (typeof window === 'undefined') return 'high';
+  return window.innerWidth * window.devicePixelRatio >= 1600 ? 'high' : 'medium';
+}
+
+function generatedUrl(file, kind, tier) {
+  const entry = textureManifest[file];
+  if (!entry) {
+    throw new CatalogError(`No generated texture for "${file}"`);
+  }
+  if (!entry[kind][tier]) {
+    throw new CatalogError(`Unknown texture tier "${tier}" (expected one of: ${TEXTURE_TIERS.join(', ')})`);
+  }
+  return BASE_URL + entry[kind][tier];
+}
+
+// URL of the generated WebGL texture for a catalog image. Power-of-two
+// sized, so stretched: only for mapping onto card meshes.
+export function textureUrl(file, tier = defaultTextureTier()) {
+  return generatedUrl(file, 'texture', tier);
+}
+
+// URL of an aspect-correct copy of a catalog image, for <img> tags
+export function imageUrl(file, tier = defaultTextureTier()) {
+  return generatedUrl(file, 'image', tier);
+}
+
+export function categoryUrl(slug) {
+  return `${BASE_URL}category/${slug}/`;
+}
+
+export function formatPrice(price) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }).format(price);
+}
+
+export function formatGrade(card) {
+  return isGraded(card) ? `${card.grader} ${card.grade}` : 'Raw';
+}
+
+export function describeCard(card) {
+  return `${card.year} ${card.set} #${card.number} ${card.player}`;
+}
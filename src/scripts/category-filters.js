@@ -0,0 +1,41 @@
+// Client-side filtering for the /category/[slug] card grid. Every card is
+// rendered at build time, so the page still works if this never runs.
+export function initCategoryFilters() {
+  const form = document.getElementById('category-filters');
+  const grid = document.getElementById('card-grid');
+  if (!form || !grid) return;
+
+  const tiles = Array.from(grid.querySelectorAll('.card-tile'));
+  const resultsCount = document.getElementById('results-count');
+  const noMatches = document.getElementById('no-matches');
+
+  const applyFilters = () => {
+    const data = new FormData(form);
+    const year = data.get('year');
+    const minGrade = data.get('minGrade');
+    const maxPrice = data.get('maxPrice');
+
+    let visible = 0;
+    tiles.forEach((tile) => {
+      const matches =
+        (!year || tile.dataset.year === year) &&
+        // Raw (ungraded) cards have no grade and drop out once a minimum is set
+        (!minGrade || (tile.dataset.grade !== '' && Number(tile.dataset.grade) >= Number(minGrade))) &&
+        (!maxPrice || Number(tile.dataset.price) <= Number(maxPrice));
+
+      tile.hidden = !matches;
+      if (matches) visible++;
+    });
+
+    if (resultsCount) {
+      resultsCount.textContent = `${visible} ${visible === 1 ? 'card' : 'cards'}`;
+    }
+    if (noMatches) {
+      noMatches.hidden = visible > 0;
+    }
+  };
+
+  form.addEventListener('input', applyFilters);
+  form.addEventListener('submit', (event) => event.preventDefault());
+  applyFilters();
+}
@@ -0,0 +1,66 @@
+// HTML/CSS category cards for src/components/CategoryFlipCards.astro, shown
+// when WebGL isn't available. Turns each card face up as it scrolls into
+// view, and dispatches the same cancelable `categoryCardClick` event as the
+// WebGL cards (CategoryCards.activateCard) before following the link.
+// Hovers and clicks go to analytics like the WebGL cards' do.
+import { getAnalytics, HoverTracker } from './analytics.js';
+
+export function initCategoryFlipCards() {
+  const root = document.getElementById('category-flip-cards');
+  if (!root) return;
+
+  const cards = Array.from(root.querySelectorAll('.flip-card'));
+  const hoverTracker = new HoverTracker('categories-html');
+
+  // Hidden while the WebGL scene runs, so nothing intersects until the
+  // fallback shows
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (!entry.isIntersecting) return;
+      entry.target.classList.add('flipped');
+      observer.unobserve(entry.target);
+    });
+  }, { threshold: 0.4 });
+
+  if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+    cards.forEach((card) => card.classList.add('flipped'));
+  } else {
+    cards.forEach((card) => observer.observe(card));
+  }
+
+  const onClick = (event) => {
+    const link = event.target.closest('.flip-card-link');
+    if (!link) return;
+    getAnalytics().emit('card:click', { scene: 'categories-html', id: link.dataset.slug });
+
+    // Listeners can call preventDefault() to keep the page from navigating
+    const clickEvent = new CustomEvent('categoryCardClick', {
+      cancelable: true,
+      detail: {
+        category: link.dataset.category,
+        slug: link.dataset.slug,
+        index: Number(link.dataset.index)
+      }
+    });
+    if (!document.dispatchEvent(clickEvent)) {
+      event.preventDefault();
+    }
+  };
+  root.addEventListener('click', onClick);
+
+  const onPointerOver = (event) => {
+    const link = event.target.closest('.flip-card-link');
+    hoverTracker.update(link ? link.dataset.slug : null);
+  };
+  const onPointerLeave = () => hoverTracker.update(null);
+  root.addEventListener('pointerover', onPointerOver);
+  root.addEventListener('pointerleave', onPointerLeave);
+
+  return () => {
+    observer.disconnect();
+    root.removeEventListener('click', onClick);
+    root.removeEventListener('pointerover', onPointerOver);
+    root.removeEventListener('pointerleave', onPointerLeave);
+    hoverTracker.update(null);
+  };
+}
@@ -0,0 +1,103 @@
+import { CARD_HEIGHT, CARD_WIDTH } from './cardDimensions.js';
+
+// Spread layouts for the category cards. chooseCategoryLayout() picks one
+// from the container's shape and fits it:
+//
+//   row:  a single line, kept while the cards stay big enough in it
+//   arc:  an overlapping fan, like a hand of cards, for wide containers
+//   grid: two rows, for narrow or tall containers
+//
+// Layouts are worked out at scale 1 and return { width, height, slots },
+// each slot being { x, y, rotationZ } about the layout's centre.
+
+const GAP_RATIO = 0.2; // Gap between neighbours, as a fraction of card width
+const MAX_SCALE = 5;
+
+const ARC_SPACING = 0.55; // Distance between neighbours in the fan, in card widths
+const ARC_ANGLE_STEP = 0.12; // Radians of tilt between neighbours
+
+const ROW_MIN_FILL = 0.4; // Smallest card height in a row, as a fraction of the container's
+const ARC_MIN_ASPECT = 1.4; // Narrower containers stack the cards in a grid instead
+
+function rowLayout(count) {
+  const step = CARD_WIDTH * (1 + GAP_RATIO);
+  const center = (count - 1) / 2;
+  return {
+    width: count * CARD_WIDTH + (count - 1) * CARD_WIDTH * GAP_RATIO,
+    height: CARD_HEIGHT,
+    slots: Array.from({ length: count }, (_, i) => ({ x: (i - center) * step, y: 0, rotationZ: 0 }))
+  };
+}
+
+// Top row takes the extra card when the count is odd; both rows are centred
+function gridLayout(count) {
+  const columns = Math.ceil(count / 2);
+  const stepX = CARD_WIDTH * (1 + GAP_RATIO);
+  const stepY = CARD_HEIGHT + CARD_WIDTH * GAP_RATIO;
+  const rows = count > 1 ? 2 : 1;
+
+  return {
+    width: columns * CARD_WIDTH + (columns - 1) * CARD_WIDTH * GAP_RATIO,
+    height: rows * CARD_HEIGHT + (rows - 1) * CARD_WIDTH * GAP_RATIO,
+    slots: Array.from({ length: count }, (_, i) => {
+      const row = i < columns ? 0 : 1;
+      const inRow = row === 0 ? columns : count - columns;
+      const column = row === 0 ? i : i - columns;
+      return {
+        x: (column - (inRow - 1) / 2) * stepX,
+        y: rows === 2 ? (row === 0 ? stepY / 2 : -stepY / 2) : 0,
+        rotationZ: 0
+      };
+    })
+  };
+}
+
+// Cards sit on a circle below the container, tilted to follow it, so the
+// middle card is highest
+function arcLayout(count) {
+  const center = (count - 1) / 2;
+  const radius = (CARD_WIDTH * ARC_SPACING) / ARC_ANGLE_STEP;
+  const maxAngle = center * ARC_ANGLE_STEP;
+  const sag = radius * (1 - Math.cos(maxAngle)); // How far the end cards drop
+
+  return {
+    width: 2 * radius * Math.sin(maxAngle) + CARD_WIDTH * Math.cos(maxAngle) + CARD_HEIGHT * Math.sin(maxAngle),
+    height: CARD_HEIGHT + sag + CARD_WIDTH * Math.sin(maxAngle),
+    slots: Array.from({ length: count }, (_, i) => {
+      const angle = (i - center) * ARC_ANGLE_STEP;
+      return {
+        x: radius * Math.sin(angle),
+        y: radius * (Math.cos(angle) - 1) + sag / 2,
+        rotationZ: -angle
+      };
+    })
+  };
+}
+
+export const categoryLayouts = { row: rowLayout, arc: arcLayout, grid: gridLayout };
+
+// Returns { name, scale, slots } with the slots already scaled, for a
+// container `visibleWidth` x `visibleHeight` world units at the cards'
+// depth. `margin` is the fraction of that space the cards may fill.
+export function chooseCategoryLayout(count, visibleWidth, visibleHeight, margin) {
+  const fit = (name) => {
+    const { width, height, slots } = categoryLayouts[name](count);
+    const scale = Math.min(MAX_SCALE, (visibleWidth * margin) / width, (visibleHeight * margin) / height);
+    return { name, scale, slots };
+  };
+
+  let chosen = fit('row');
+  if ((chosen.scale * CARD_HEIGHT) / visibleHeight < ROW_MIN_FILL) {
+    chosen = fit(visibleWidth / visibleHeight >= ARC_MIN_ASPECT ? 'arc' : 'grid');
+  }
+
+  return {
+    name: chosen.name,
+    scale: chosen.scale,
+    slots: chosen.slots.map((slot) => ({
+      x: slot.x * chosen.scale,
+      y: slot.y * chosen.scale,
+      rotationZ: slot.rotationZ
+    }))
+  };
+}
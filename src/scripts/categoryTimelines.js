@@ -0,0 +1,145 @@
+import { Timeline } from './Timeline.js';
+
+// Flip/spread variants for the category cards. Each card is sampled with
+// { index, count, initialRotation, initialX, targetX, targetY, targetRotationZ },
+// the targets being its slot in the current layout (see categoryLayouts.js).
+// See plan.md for the open design questions these answer.
+
+const flipTrack = (overrides = {}) => ({
+  property: 'rotationY',
+  keyframes: [
+    { at: 0, value: (ctx) => ctx.initialRotation },
+    { at: 0.4, value: 0, easing: 'easeInOutCubic' }
+  ],
+  ...overrides
+});
+
+// The spread moves each card from the stack to its slot in the layout:
+// x from the stack, y and tilt from upright at the centre line. All three
+// share the same timing; `overrides` applies to each of them.
+const spreadTracks = ({ start = 0.4, easing = 'easeInOutCubic', ...overrides } = {}) => [
+  ['x', (ctx) => ctx.initialX, (ctx) => ctx.targetX],
+  ['y', 0, (ctx) => ctx.targetY],
+  ['rotationZ', 0, (ctx) => ctx.targetRotationZ]
+].map(([property, from, to]) => ({
+  property,
+  keyframes: [
+    { at: start, value: from },
+    { at: 1, value: to, easing }
+  ],
+  ...overrides
+}));
+
+export const categoryTimelinePresets = {
+  // Original behaviour: all cards flip together, then spread together
+  lockstep: () => new Timeline({
+    duration: 2200,
+    tracks: [flipTrack(), ...spreadTracks()]
+  }),
+
+  // Cards flip one after another, then spread together
+  sequentialFlip: () => new Timeline({
+    duration: 2600,
+    tracks: [flipTrack({ stagger: 0.06 }), ...spreadTracks()]
+  }),
+
+  // Flip together, then spread outwards from the middle card
+  staggeredSpread: () => new Timeline({
+    duration: 2600,
+    tracks: [
+      flipTrack(),
+      ...spreadTracks({ stagger: 0.08, staggerFrom: 'center', easing: 'easeOutCubic' })
+    ]
+  }),
+
+  // Quick flip, long springy spread
+  quickFlip: () => new Timeline({
+    duration: 2000,
+    tracks: [
+      flipTrack({
+        keyframes: [
+          { at: 0, value: (ctx) => ctx.initialRotation },
+          { at: 0.25, value: 0, easing: 'easeOutCubic' }
+        ]
+      }),
+      ...spreadTracks({ start: 0.25, easing: 'easeOutBack' })
+    ]
+  })
+};
+
+export const DEFAULT_CATEGORY_TIMELINE = 'lockstep';
+
+// Exit variants, played as the section scrolls away once the spread is done.
+// Values are offsets added to the spread pose, so progress 0 is exactly
+// where the spread left off. Each card is sampled with
+// { index, count, targetX, side, viewWidth, viewHeight }: side is -1, 0 or 1
+// for left of, at or right of centre, and viewWidth/viewHeight are the whole
+// viewport's size in world units at the cards' depth.
+export const categoryExitPresets = {
+  // The legacy float-away: cards rise off the top of the screen, upright,
+  // the middle card first
+  floatAway: () => new Timeline({
+    tracks: [
+      {
+        property: 'y',
+        stagger: 0.08,
+        staggerFrom: 'center',
+        keyframes: [
+          { at: 0, value: 0 },
+          { at: 1, value: (ctx) => ctx.viewHeight, easing: 'easeInCubic' }
+        ]
+      }
+    ]
+  }),
+
+  // Cards fly out sideways, away from the middle, turning edge-on as they go
+  scatter: () => new Timeline({
+    tracks: [
+      {
+        property: 'x',
+        keyframes: [
+          { at: 0, value: 0 },
+          { at: 1, value: (ctx) => ctx.side * ctx.viewWidth * 0.6, easing: 'easeInQuad' }
+        ]
+      },
+      {
+        property: 'y',
+        keyframes: [
+          { at: 0, value: 0 },
+          { at: 1, value: (ctx) => ctx.viewHeight * (ctx.side === 0 ? 1 : 0.25), easing: 'easeInQuad' }
+        ]
+      },
+      {
+        property: 'rotationY',
+        keyframes: [
+          { at: 0, value: 0 },
+          { at: 1, value: (ctx) => ctx.side * Math.PI * 0.4, easing: 'easeInQuad' }
+        ]
+      }
+    ]
+  }),
+
+  // Cards tip backwards and drop out of the bottom, left to right
+  fallAway: () => new Timeline({
+    tracks: [
+      {
+        property: 'y',
+        stagger: 0.1,
+        keyframes: [
+          { at: 0, value: 0 },
+          { at: 1, value: (ctx) => -ctx.viewHeight, easing: 'easeInCubic' }
+        ]
+      },
+      {
+        property: 'rotationX',
+        stagger: 0.1,
+        keyframes: [
+          { at: 0, value: 0 },
+          { at: 1, value: -Math.PI * 0.5, easing: 'easeInQuad' }
+        ]
+      }
+    ]
+  })
+};
+
+export const DEFAULT_CATEGORY_EXIT = 'floatAway';
@@ -0,0 +1,105 @@
+// "Sell Your Cards" submissions: field rules shared by the form and the
+// request sent to the consignment endpoint.
+
+// The mock API only runs in dev, so production builds need the real endpoint
+// configured; without one this is null and the form is switched off
+export const CONSIGNMENT_ENDPOINT =
+  import.meta.env.PUBLIC_CONSIGNMENT_ENDPOINT ||
+  (import.meta.env.DEV ? `${import.meta.env.BASE_URL.replace(/\/?$/, '/')}api/consignments` : null);
+
+export const CONSIGNMENTS_UNAVAILABLE_MESSAGE = 'Online submissions aren\'t open yet. Email us about your card in the meantime.';
+
+export const CONDITIONS = [
+  { value: 'graded', label: 'Graded (in a PSA, BGS, SGC or CGC slab)' },
+  { value: 'mint', label: 'Mint' },
+  { value: 'near-mint', label: 'Near mint' },
+  { value: 'excellent', label: 'Excellent' },
+  { value: 'very-good', label: 'Very good' },
+  { value: 'poor', label: 'Fair or poor' }
+];
+
+const FIRST_CARD_YEAR = 1860;
+const MAX_TEXT_LENGTH = 80;
+const MAX_ASKING_PRICE = 10000000; // dollars
+
+export class ConsignmentError extends Error {
+  constructor(message) {
+    super(`[consignments] ${message}`);
+    this.name = 'ConsignmentError';
+    this.userMessage = message;
+  }
+}
+
+// Returns { field: message } for every field that needs fixing; an empty
+// object means the submission can be sent. Photos are data URLs of the
+// cropped images, or null.
+export function validateConsignment({ player, year, set, condition, askingPrice, frontPhoto, backPhoto }) {
+  const errors = {};
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  if (!text(player)) {
+    errors.player = 'Enter the player or subject on the card.';
+  } else if (text(player).length > MAX_TEXT_LENGTH) {
+    errors.player = `Keep this under ${MAX_TEXT_LENGTH} characters.`;
+  }
+
+  const yearNumber = Number(year);
+  const thisYear = new Date().getFullYear();
+  if (!Number.isInteger(yearNumber) || yearNumber < FIRST_CARD_YEAR || yearNumber > thisYear) {
+    errors.year = `Enter a year between ${FIRST_CARD_YEAR} and ${thisYear}.`;
+  }
+
+  if (!text(set)) {
+    errors.set = 'Enter the set, e.g. "Topps" or "O-Pee-Chee".';
+  } else if (text(set).length > MAX_TEXT_LENGTH) {
+    errors.set = `Keep this under ${MAX_TEXT_LENGTH} characters.`;
+  }
+
+  if (!CONDITIONS.some((option) => option.value === condition)) {
+    errors.condition = 'Choose the card\'s condition.';
+  }
+
+  const price = Number(askingPrice);
+  if (askingPrice === '' || !Number.isFinite(price) || price <= 0) {
+    errors.askingPrice = 'Enter an asking price in dollars.';
+  } else if (price > MAX_ASKING_PRICE) {
+    errors.askingPrice = 'For cards over $10,000,000 please contact us directly.';
+  }
+
+  if (!frontPhoto) errors.frontPhoto = 'Add a photo of the front.';
+  if (!backPhoto) errors.backPhoto = 'Add a photo of the back.';
+
+  return errors;
+}
+
+// Sends a validated submission. Resolves with { submissionId }; rejects
+// with a ConsignmentError.
+export async function submitConsignment({ player, year, set, condition, askingPrice, frontPhoto, backPhoto }) {
+  if (!CONSIGNMENT_ENDPOINT) {
+    throw new ConsignmentError(CONSIGNMENTS_UNAVAILABLE_MESSAGE);
+  }
+
+  let response;
+  try {
+    response = await fetch(CONSIGNMENT_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        player: player.trim(),
+        year: Number(year),
+        set: set.trim(),
+        condition,
+        askingPrice: Math.round(Number(askingPrice)),
+        photos: { front: frontPhoto, back: backPhoto }
+      })
+    });
+  } catch (error) {
+    throw new ConsignmentError('Submissions are unavailable right now. Please try again later.');
+  }
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new ConsignmentError(result.error || `Submission failed (${response.status}).`);
+  }
+  return result;
+}
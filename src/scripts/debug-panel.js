@@ -0,0 +1,121 @@
+// Development-only panel for src/components/DebugPanel.astro. Reads the
+// scene through three-setup.js's getSceneState() and edits it through
+// setScrollProgress() and getDebugControls().
+import { getDebugControls, getSceneState, setScrollProgress } from './three-setup.js';
+
+const REFRESH_INTERVAL = 250; // ms
+
+// Rounds to `digits` places and drops trailing zeros after the point
+const formatNumber = (value, digits = 2) => Number(Number(value).toFixed(digits)).toString();
+
+export function initDebugPanel() {
+  const root = document.getElementById('debug-panel');
+  if (!root) return;
+
+  const stats = Object.fromEntries(
+    Array.from(root.querySelectorAll('[data-stat]')).map((element) => [element.dataset.stat, element])
+  );
+  const pin = root.querySelector('[data-scrub="pin"]');
+  const scrubbers = Array.from(root.querySelectorAll('input[type="range"][data-scrub]'));
+  const scrubValue = (name) => root.querySelector(`[data-scrub-value="${name}"]`);
+
+  // Scrubbing pins the category progress; unticking hands it back to scroll
+  const applyScrub = () => {
+    const [progress, exitProgress] = scrubbers.map((input) => Number(input.value));
+    scrubbers.forEach((input) => {
+      scrubValue(input.dataset.scrub).value = formatNumber(input.value, 3);
+    });
+    setScrollProgress(pin.checked ? progress : null, exitProgress);
+  };
+  pin.addEventListener('change', applyScrub);
+  scrubbers.forEach((input) => {
+    input.addEventListener('input', () => {
+      pin.checked = true;
+      applyScrub();
+    });
+  });
+
+  // Built on first open, once the scene they edit has mounted
+  root.addEventListener('toggle', () => {
+    const controls = root.querySelector('[data-debug-controls]');
+    if (root.open && controls.childElementCount === 0) renderControls(controls);
+  });
+
+  root.querySelector('[data-debug-action="copy-state"]').addEventListener('click', () => {
+    const json = JSON.stringify(getSceneState(), null, 2);
+    console.log('[debug-panel] Scene state', JSON.parse(json));
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(json).catch(() => {});
+    }
+  });
+
+  const refresh = () => {
+    if (!root.open) return;
+    const state = getSceneState();
+    if (!state) return;
+
+    const { categories, inspector, frame } = state;
+    stats.fps.textContent = frame ? `${formatNumber(frame.fps, 0)} (${frame.mode})` : '–';
+    stats.frameTime.textContent = frame ? `${formatNumber(frame.averageFrameTime)} ms` : '–';
+    stats.drawCalls.textContent = state.renderer.drawCalls;
+    stats.triangles.textContent = state.renderer.triangles;
+    stats.quality.textContent = `${state.performance.level} @ ${state.performance.pixelRatio}x, post ${state.postProcessing.quality}`;
+    stats.categoryHover.textContent = categories.hovered || categories.focused || '–';
+    stats.cardHover.textContent = inspector.hovered || '–';
+    stats.raycastHit.textContent = inspector.hoverPoint
+      ? `${inspector.hoverPoint.map((n) => formatNumber(n)).join(', ')} @ ${formatNumber(inspector.hoverDistance)}`
+      : '–';
+
+    // Follow the scroll-driven progress until the scrubber takes over
+    if (!categories.progressPinned) {
+      scrubbers[0].value = categories.animationProgress;
+      scrubbers[1].value = categories.exitProgress;
+      scrubbers.forEach((input) => {
+        scrubValue(input.dataset.scrub).value = formatNumber(input.value, 3);
+      });
+    }
+  };
+  const interval = setInterval(refresh, REFRESH_INTERVAL);
+
+  return () => clearInterval(interval);
+}
+
+// One fieldset per group, with a slider or select per control
+function renderControls(container) {
+  const groups = new Map();
+
+  getDebugControls().forEach((control) => {
+    if (!groups.has(control.group)) {
+      const fieldset = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = control.group;
+      fieldset.appendChild(legend);
+      container.appendChild(fieldset);
+      groups.set(control.group, fieldset);
+    }
+
+    const label = document.createElement('label');
+    label.append(control.label);
+
+    if (control.options) {
+      const select = document.createElement('select');
+      control.options.forEach((option) => select.add(new Option(option, option)));
+      select.value = control.get();
+      select.addEventListener('change', () => control.set(select.value));
+      label.appendChild(select);
+    } else {
+      const input = document.createElement('input');
+      const output = document.createElement('output');
+      Object.assign(input, { type: 'range', min: control.min, max: control.max, step: control.step });
+      input.value = control.get();
+      output.value = formatNumber(control.get());
+      input.addEventListener('input', () => {
+        control.set(Number(input.value));
+        output.value = formatNumber(input.value);
+      });
+      label.append(input, output);
+    }
+
+    groups.get(control.group).appendChild(label);
+  });
+}
@@ -0,0 +1,33 @@
+import * as THREE from 'three';
+
+// Frees the GPU copies of everything under `root`: geometries, materials and
+// the textures those materials use (including shader uniforms). Resources
+// shared between objects are only disposed once; three.js uploads them again
+// if they are ever rendered after this.
+export function disposeObject3D(root) {
+  const geometries = new Set();
+  const materials = new Set();
+  const textures = new Set();
+
+  root.traverse((object) => {
+    if (object.geometry) geometries.add(object.geometry);
+    if (object.material) {
+      [].concat(object.material).forEach((material) => materials.add(material));
+    }
+  });
+
+  materials.forEach((material) => {
+    Object.values(material).forEach((value) => {
+      if (value instanceof THREE.Texture) textures.add(value);
+    });
+    if (material.uniforms) {
+      Object.values(material.uniforms).forEach(({ value }) => {
+        if (value instanceof THREE.Texture) textures.add(value);
+      });
+    }
+  });
+
+  geometries.forEach((geometry) => geometry.dispose());
+  materials.forEach((material) => material.dispose());
+  textures.forEach((texture) => texture.dispose());
+}
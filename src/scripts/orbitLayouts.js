@@ -0,0 +1,212 @@
+// Named layouts for the floating RegularCards. Each layout has:
+//
+//   facing:            0 = cards tumble freely, 1 = cards turn to face the camera
+//   followScroll:      true to move down the page with the camera
+//   createSlots(count): per-card placement, computed once per card count.
+//                       Tumbling layouts (facing 0) keep cards at least
+//                       MIN_DISTANCE apart; wall's cards never turn, so its
+//                       tighter grid only has to clear the slabs' outlines.
+//   position(slot, time, scrollProgress, out): writes the card's position
+//                       at `time` (seconds) into the `out` Vector3
+//
+// Moving layouts keep every card on the same angular speed, so spacing
+// checked when the slots are created holds for the whole animation.
+
+// Centre-to-centre distance that keeps two tumbling slabs from intersecting
+// (a slabbed card is about 1.75 x 2.8, so its bounding sphere radius is ~1.65)
+export const MIN_DISTANCE = 3.4;
+
+const TAU = Math.PI * 2;
+
+function distanceSquared(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return dx * dx + dy * dy + dz * dz;
+}
+
+function isClear(point, placed, minDistance = MIN_DISTANCE) {
+  const min = minDistance * minDistance;
+  return placed.every((other) => distanceSquared(point, other) >= min);
+}
+
+// Original look, restored from the pre-Astro index.html: cards spread over
+// six depth layers, each layer a slightly larger ellipse
+const layeredEllipse = {
+  facing: 0,
+  followScroll: false,
+  layers: 6,
+  layerDepth: 2,
+  speed: 0.03,
+
+  createSlots(count) {
+    const slots = [];
+
+    for (let i = 0; i < count; i++) {
+      const layer = i % this.layers;
+      const z = -layer * this.layerDepth;
+
+      // Take the first phase with room on this layer's ring, moving out to
+      // a wider ring when it's full
+      let slot = null;
+      for (let ring = 0; !slot; ring++) {
+        const radiusX = 5 + layer * 0.5 + ring * MIN_DISTANCE;
+        const radiusY = 4 + layer * 0.4 + ring * MIN_DISTANCE * 0.8;
+        const offset = (layer / this.layers) * TAU; // Stagger layers so they don't line up
+
+        for (let step = 0; step < 48 && !slot; step++) {
+          const candidate = { phase: offset + (step / 48) * TAU, radiusX, radiusY, z };
+          if (this.isClearAllAround(candidate, slots)) {
+            slot = candidate;
+          }
+        }
+      }
+      slots.push(slot);
+    }
+    return slots;
+  },
+
+  // Every card turns at the same rate, but on ellipses of different sizes,
+  // so check the gap all the way round rather than just at the start
+  isClearAllAround(candidate, slots) {
+    const pointAt = (slot, turn) => ({
+      x: slot.radiusX * Math.cos(slot.phase + turn),
+      y: slot.radiusY * Math.sin(slot.phase + turn),
+      z: slot.z
+    });
+    for (let sample = 0; sample < 12; sample++) {
+      const turn = (sample / 12) * TAU;
+      const placed = slots.map((slot) => pointAt(slot, turn));
+      if (!isClear(pointAt(candidate, turn), placed)) return false;
+    }
+    return true;
+  },
+
+  position(slot, time, scrollProgress, out) {
+    const angle = slot.phase + time * this.speed;
+    out.set(
+      (slot.radiusX + scrollProgress * 2) * Math.cos(angle),
+      (slot.radiusY + scrollProgress * 1.5) * Math.sin(angle),
+      slot.z
+    );
+  }
+};
+
+// Cards wound around a vertical spiral that slowly turns
+const helix = {
+  facing: 0,
+  followScroll: true,
+  radius: 5,
+  centerZ: -4,
+  speed: 0.15,
+
+  createSlots(count) {
+    // Neighbours along the spiral sit MIN_DISTANCE apart, and each turn
+    // clears the one below it
+    const step = 2 * Math.asin(Math.min(1, MIN_DISTANCE / (2 * this.radius)));
+    const perTurn = TAU / step;
+    const rise = MIN_DISTANCE / perTurn;
+    const top = ((count - 1) * rise) / 2;
+
+    return Array.from({ length: count }, (_, i) => ({
+      angle: i * step,
+      y: top - i * rise
+    }));
+  },
+
+  position(slot, time, scrollProgress, out) {
+    const angle = slot.angle + time * this.speed;
+    out.set(
+      this.radius * Math.sin(angle),
+      slot.y,
+      this.centerZ + this.radius * Math.cos(angle)
+    );
+  }
+};
+
+// Three spiral arms on a tilted disc that turns as one piece
+const galaxy = {
+  facing: 0,
+  followScroll: true,
+  arms: 3,
+  twist: 0.45, // Radians of arm curl per unit of radius
+  tilt: 1.0, // Disc tilt towards the camera, radians
+  centerZ: -6,
+  speed: 0.05,
+
+  createSlots(count) {
+    const slots = [];
+    const placed = [];
+
+    for (let i = 0; i < count; i++) {
+      const arm = i % this.arms;
+      // Walk outwards along the arm until there's room. This always ends:
+      // MIN_DISTANCE past the outermost card nothing is in the way.
+      let radius = 2;
+      let point;
+      do {
+        const angle = (arm / this.arms) * TAU + radius * this.twist;
+        point = { x: radius * Math.cos(angle), y: radius * Math.sin(angle), z: 0, angle, radius };
+        radius += 0.25;
+      } while (!isClear(point, placed));
+
+      placed.push(point);
+      slots.push({ angle: point.angle, radius: point.radius });
+    }
+
+    // Push big discs back so the near edge stays in front of the camera
+    const maxRadius = slots.reduce((max, slot) => Math.max(max, slot.radius), 0);
+    const centerZ = Math.min(this.centerZ, 1 - maxRadius * Math.sin(this.tilt));
+    slots.forEach((slot) => {
+      slot.centerZ = centerZ;
+    });
+    return slots;
+  },
+
+  position(slot, time, scrollProgress, out) {
+    const angle = slot.angle + time * this.speed;
+    const x = slot.radius * Math.cos(angle);
+    const discY = slot.radius * Math.sin(angle);
+    // Tilt the disc about the x axis
+    out.set(
+      x,
+      discY * Math.cos(this.tilt),
+      slot.centerZ + discY * Math.sin(this.tilt)
+    );
+  }
+};
+
+// Flat grid facing the camera, like cards pinned to a wall
+const wall = {
+  facing: 1,
+  followScroll: true,
+  spacingX: 2.3, // A slabbed card is about 1.75 x 2.8
+  spacingY: 3.1,
+  z: -3,
+
+  createSlots(count) {
+    const columns = Math.max(1, Math.ceil(Math.sqrt(count * 1.6)));
+    const rows = Math.ceil(count / columns);
+
+    return Array.from({ length: count }, (_, i) => {
+      const row = Math.floor(i / columns);
+      // Centre a short last row
+      const inRow = row === rows - 1 ? count - row * columns : columns;
+      const column = i % columns;
+      return {
+        x: (column - (inRow - 1) / 2) * this.spacingX,
+        y: ((rows - 1) / 2 - row) * this.spacingY,
+        drift: i * 1.7
+      };
+    });
+  },
+
+  position(slot, time, scrollProgress, out) {
+    // Cards sit side by side, so only drift in depth
+    out.set(slot.x, slot.y, this.z + Math.sin(time * 0.6 + slot.drift) * 0.25);
+  }
+};
+
+export const orbitLayouts = { layeredEllipse, helix, galaxy, wall };
+
+export const DEFAULT_ORBIT_LAYOUT = 'layeredEllipse';
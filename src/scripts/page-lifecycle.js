@@ -0,0 +1,21 @@
+// Page mount/unmount for Astro's <ClientRouter />. Module scripts run once
+// per visit, but the router swaps in a new page body on every navigation, so
+// anything that touches the DOM attaches on `astro:page-load` (which also
+// fires for the first page) and detaches on `astro:before-swap`.
+
+// Calls `mount` for every page shown. If it returns a function, that is
+// called before the page is swapped out.
+export function onPageMount(mount) {
+  let cleanup = null;
+
+  const unmount = () => {
+    if (typeof cleanup === 'function') cleanup();
+    cleanup = null;
+  };
+
+  document.addEventListener('astro:page-load', () => {
+    unmount();
+    cleanup = mount();
+  });
+  document.addEventListener('astro:before-swap', unmount);
+}
@@ -0,0 +1,130 @@
+// "Sell Your Cards" form on src/pages/sell.astro: validates the fields,
+// crops the front and back photos to the card ratio, mirrors them on a 3D
+// preview card and posts the submission to CONSIGNMENT_ENDPOINT. Without an
+// endpoint the form is disabled and says why.
+import { CardPreview } from './CardPreview.js';
+import {
+  CONSIGNMENT_ENDPOINT,
+  CONSIGNMENTS_UNAVAILABLE_MESSAGE,
+  ConsignmentError,
+  submitConsignment,
+  validateConsignment
+} from './consignments.js';
+import { ImageCropper } from './ImageCropper.js';
+import { isWebGLAvailable } from './webgl-fallback.js';
+
+const FIELDS = ['player', 'year', 'set', 'condition', 'askingPrice'];
+
+export function initSellForm() {
+  const form = document.getElementById('sell-form');
+  if (!form) return;
+
+  const status = form.querySelector('.sell-status');
+  const submitButton = form.querySelector('button[type="submit"]');
+  const previewRoot = document.getElementById('card-preview');
+  const previewStage = previewRoot.querySelector('.card-preview-stage');
+  const flipButton = previewRoot.querySelector('[data-preview-action="flip"]');
+
+  // Without WebGL the crop frames are the preview
+  let preview = new CardPreview(previewStage);
+  if (!isWebGLAvailable() || !preview.init()) {
+    preview = null;
+    previewRoot.hidden = true;
+  }
+
+  const croppers = {};
+  ['front', 'back'].forEach((side) => {
+    croppers[side] = new ImageCropper(form.querySelector(`[data-photo="${side}"]`), {
+      onChange: (canvas) => {
+        if (preview) preview.setPhoto(side, canvas);
+      }
+    });
+  });
+
+  const setFieldError = (name, message) => {
+    const input = form.elements.namedItem(name);
+    const error = form.querySelector(`[data-error-for="${name}"]`);
+    if (error) error.textContent = message || '';
+    if (input) input.setAttribute('aria-invalid', message ? 'true' : 'false');
+  };
+
+  const readValues = () => {
+    const data = new FormData(form);
+    const values = {};
+    FIELDS.forEach((name) => {
+      values[name] = String(data.get(name) || '');
+    });
+    values.frontPhoto = croppers.front.toDataURL();
+    values.backPhoto = croppers.back.toDataURL();
+    return values;
+  };
+
+  let submitting = false;
+
+  const onSubmit = async (event) => {
+    event.preventDefault();
+    if (submitting) return;
+
+    const values = readValues();
+    const errors = validateConsignment(values);
+    FIELDS.forEach((name) => setFieldError(name, errors[name]));
+    croppers.front.setError(errors.frontPhoto || '');
+    croppers.back.setError(errors.backPhoto || '');
+
+    const invalid = [...FIELDS, 'frontPhoto', 'backPhoto'].filter((name) => errors[name]);
+    if (invalid.length > 0) {
+      status.textContent = `Please fix ${invalid.length} field${invalid.length === 1 ? '' : 's'} before sending.`;
+      const photoInputs = { frontPhoto: croppers.front.input, backPhoto: croppers.back.input };
+      const first = photoInputs[invalid[0]] || form.elements.namedItem(invalid[0]);
+      if (first) first.focus();
+      return;
+    }
+
+    submitting = true;
+    submitButton.disabled = true;
+    status.textContent = 'Sending your card…';
+    try {
+      const { submissionId } = await submitConsignment(values);
+      status.textContent = `Thanks! Submission ${submissionId} is in. We'll email you an offer within two business days.`;
+      form.reset();
+      croppers.front.clear();
+      croppers.back.clear();
+    } catch (error) {
+      status.textContent = error instanceof ConsignmentError ? error.userMessage : 'Sending failed. Please try again.';
+      console.error(error);
+    } finally {
+      submitting = false;
+      submitButton.disabled = false;
+    }
+  };
+
+  // Errors clear as soon as the field is edited
+  const onInput = (event) => {
+    if (FIELDS.includes(event.target.name)) setFieldError(event.target.name, '');
+  };
+
+  const onFlip = () => {
+    if (preview) preview.flip();
+  };
+
+  if (!CONSIGNMENT_ENDPOINT) {
+    Array.from(form.elements).forEach((element) => {
+      element.disabled = true;
+    });
+    form.classList.add('unavailable');
+    status.textContent = CONSIGNMENTS_UNAVAILABLE_MESSAGE;
+  }
+
+  form.addEventListener('submit', onSubmit);
+  form.addEventListener('input', onInput);
+  flipButton.addEventListener('click', onFlip);
+
+  return () => {
+    form.removeEventListener('submit', onSubmit);
+    form.removeEventListener('input', onInput);
+    flipButton.removeEventListener('click', onFlip);
+    croppers.front.destroy();
+    croppers.back.destroy();
+    if (preview) preview.destroy();
+  };
+}
@@ -0,0 +1,201 @@
+import { navigate } from 'astro:transitions/client';
+import { catalog, categoryUrl, describeCard, formatGrade, formatPrice, imageUrl } from './catalog.js';
+import { searchCards } from './card-search.js';
+
+// Where a search result leads when nothing on the page handles it: the
+// card's tile on its category page, via the #card-<id> hash
+export function cardUrl(card) {
+  return `${categoryUrl(card.category)}#card-${card.id}`;
+}
+
+// Tells the 3D scenes which cards and categories match. An empty query
+// clears any highlighting.
+function dispatchSearch(query, results) {
+  const cardIds = results.map(({ card }) => card.id);
+  const categorySlugs = [...new Set(results.map(({ card }) => card.category))];
+  document.dispatchEvent(new CustomEvent('cardSearch', {
+    detail: { query, cardIds, categorySlugs }
+  }));
+}
+
+function renderResult(card, index) {
+  const item = document.createElement('li');
+  item.className = 'search-result';
+  item.id = `search-result-${index}`;
+  item.setAttribute('role', 'option');
+  item.setAttribute('aria-selected', 'false');
+  item.dataset.index = String(index);
+
+  const image = document.createElement('img');
+  image.src = imageUrl(card.frontImage, 'low');
+  image.alt = '';
+  image.loading = 'lazy';
+
+  const text = document.createElement('div');
+  text.className = 'search-result-text';
+
+  const player = document.createElement('div');
+  player.className = 'search-result-player';
+  player.textContent = card.player;
+
+  const title = document.createElement('div');
+  title.className = 'search-result-title';
+  title.textContent = describeCard(card);
+
+  const meta = document.createElement('div');
+  meta.className = 'search-result-meta';
+  meta.textContent = `${formatGrade(card)} · ${formatPrice(card.price)}`;
+
+  text.append(player, title, meta);
+  item.append(image, text);
+  return item;
+}
+
+export function initSiteSearch() {
+  const root = document.getElementById('site-search');
+  const trigger = document.querySelector('.search-button');
+  if (!root || !trigger) return;
+
+  const input = root.querySelector('#site-search-input');
+  const list = root.querySelector('#site-search-results');
+  const status = root.querySelector('.search-status');
+
+  let results = [];
+  let activeIndex = -1;
+
+  const setActive = (index) => {
+    activeIndex = index;
+    Array.from(list.children).forEach((item, i) => {
+      item.setAttribute('aria-selected', String(i === index));
+    });
+
+    if (index >= 0) {
+      const item = list.children[index];
+      input.setAttribute('aria-activedescendant', item.id);
+      item.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  const update = () => {
+    const query = input.value.trim();
+    results = searchCards(query, catalog.cards);
+
+    list.replaceChildren(...results.map(({ card }, i) => renderResult(card, i)));
+    input.setAttribute('aria-expanded', String(results.length > 0));
+    setActive(results.length > 0 ? 0 : -1);
+
+    if (!query) {
+      status.textContent = '';
+    } else if (results.length === 0) {
+      status.textContent = `No cards match "${query}".`;
+    } else {
+      status.textContent = `${results.length} card${results.length === 1 ? '' : 's'} found.`;
+    }
+
+    dispatchSearch(query, results);
+  };
+
+  const open = () => {
+    if (!root.hidden) return;
+    root.hidden = false;
+    trigger.setAttribute('aria-expanded', 'true');
+    input.focus();
+    input.select();
+    if (input.value.trim()) update();
+  };
+
+  const close = () => {
+    if (root.hidden) return;
+    root.hidden = true;
+    trigger.setAttribute('aria-expanded', 'false');
+    dispatchSearch('', []);
+    trigger.focus();
+  };
+
+  // Pages can claim a result (the home page opens it in the card inspector);
+  // otherwise follow the link to the card
+  const select = (index) => {
+    const result = results[index];
+    if (!result) return;
+
+    close();
+    const selectEvent = new CustomEvent('cardSearchSelect', {
+      cancelable: true,
+      detail: { card: result.card }
+    });
+    if (document.dispatchEvent(selectEvent)) {
+      navigate(cardUrl(result.card));
+    }
+  };
+
+  trigger.addEventListener('click', open);
+  input.addEventListener('input', update);
+
+  input.addEventListener('keydown', (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        if (results.length) setActive((activeIndex + 1) % results.length);
+        break;
+      case 'ArrowUp':
+        if (results.length) setActive((activeIndex - 1 + results.length) % results.length);
+        break;
+      case 'Enter':
+        select(activeIndex);
+        break;
+      case 'Escape':
+        close();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  });
+
+  list.addEventListener('click', (event) => {
+    const item = event.target instanceof Element ? event.target.closest('.search-result') : null;
+    if (item) select(Number(item.dataset.index));
+  });
+
+  list.addEventListener('pointermove', (event) => {
+    const item = event.target instanceof Element ? event.target.closest('.search-result') : null;
+    if (item && Number(item.dataset.index) !== activeIndex) setActive(Number(item.dataset.index));
+  });
+
+  root.addEventListener('click', (event) => {
+    if (event.target instanceof Element && event.target.closest('[data-search-action="close"]')) {
+      close();
+    }
+  });
+
+  // Keep Tab inside the dialog: the input and the close button
+  const closeButton = root.querySelector('.search-close');
+  root.addEventListener('keydown', (event) => {
+    if (event.key !== 'Tab') return;
+    if (event.shiftKey && document.activeElement === input) {
+      event.preventDefault();
+      closeButton.focus();
+    } else if (!event.shiftKey && document.activeElement === closeButton) {
+      event.preventDefault();
+      input.focus();
+    }
+  });
+
+  // "/" or Ctrl/Cmd+K opens search from anywhere that isn't a text field
+  const onWindowKeyDown = (event) => {
+    const target = event.target;
+    const typing = target instanceof HTMLElement &&
+      (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+
+    if ((event.key === '/' && !typing) || (event.key === 'k' && (event.metaKey || event.ctrlKey))) {
+      event.preventDefault();
+      open();
+    } else if (event.key === 'Escape' && !root.hidden) {
+      close();
+    }
+  };
+  window.addEventListener('keydown', onWindowKeyDown);
+
+  return () => window.removeEventListener('keydown', onWindowKeyDown);
+}
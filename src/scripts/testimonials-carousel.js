@@ -0,0 +1,136 @@
+// Auto-advancing reviews carousel for src/components/Testimonials.astro.
+// Pauses while hovered or focused, when the tab is hidden, and for visitors
+// who prefer reduced motion; arrow keys, swipes and the dots change slides.
+
+const FADE_DURATION = 250; // ms, matches half of the CSS opacity transition
+const SWIPE_THRESHOLD = 50; // px
+
+export function initTestimonials() {
+  const root = document.getElementById('reviews-carousel');
+  if (!root) return;
+
+  const slides = Array.from(root.querySelectorAll('.review-slide'));
+  const dots = Array.from(root.querySelectorAll('.dot'));
+  const toggle = root.querySelector('.carousel-toggle');
+  const liveRegion = root.querySelector('.review-slides');
+  if (slides.length < 2) {
+    root.querySelector('.carousel-controls').hidden = true;
+    return;
+  }
+
+  const interval = Number(root.dataset.interval) || 6000;
+  let current = 0;
+  let timer = null;
+  let fadeTimer = null;
+  let stoppedByUser = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  let hovered = false;
+  let focused = false;
+  let swipeStartX = null;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (stoppedByUser || hovered || focused || document.hidden) return;
+    timer = setTimeout(() => show(current + 1), interval);
+  };
+
+  const updateToggle = () => {
+    toggle.setAttribute('aria-label', stoppedByUser ? 'Play reviews' : 'Pause reviews');
+    toggle.innerHTML = stoppedByUser ? '&#9654;' : '&#10074;&#10074;';
+  };
+
+  // Only announce slide changes the visitor asked for
+  function show(index, { fromUser = false } = {}) {
+    const next = (index + slides.length) % slides.length;
+    if (next === current) {
+      schedule();
+      return;
+    }
+
+    const outgoing = slides[current];
+    current = next;
+    liveRegion.setAttribute('aria-live', fromUser ? 'polite' : 'off');
+    dots.forEach((dot, i) => {
+      if (i === current) dot.setAttribute('aria-current', 'true');
+      else dot.removeAttribute('aria-current');
+    });
+
+    // Fade the old review out, then swap in the new one
+    clearTimeout(fadeTimer);
+    outgoing.classList.add('fade-out');
+    fadeTimer = setTimeout(() => {
+      slides.forEach((slide, i) => {
+        slide.hidden = i !== current;
+        slide.classList.remove('fade-out');
+      });
+    }, FADE_DURATION);
+
+    schedule();
+  }
+
+  dots.forEach((dot, i) => {
+    dot.addEventListener('click', () => show(i, { fromUser: true }));
+  });
+
+  toggle.addEventListener('click', () => {
+    stoppedByUser = !stoppedByUser;
+    updateToggle();
+    schedule();
+  });
+
+  root.addEventListener('keydown', (event) => {
+    if (event.key === 'ArrowRight') {
+      show(current + 1, { fromUser: true });
+    } else if (event.key === 'ArrowLeft') {
+      show(current - 1, { fromUser: true });
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+
+  root.addEventListener('mouseenter', () => {
+    hovered = true;
+    schedule();
+  });
+  root.addEventListener('mouseleave', () => {
+    hovered = false;
+    schedule();
+  });
+  root.addEventListener('focusin', () => {
+    focused = true;
+    schedule();
+  });
+  root.addEventListener('focusout', (event) => {
+    if (root.contains(event.relatedTarget)) return;
+    focused = false;
+    schedule();
+  });
+
+  root.addEventListener('pointerdown', (event) => {
+    if (event.pointerType === 'mouse') return;
+    swipeStartX = event.clientX;
+  });
+  root.addEventListener('pointerup', (event) => {
+    if (swipeStartX === null) return;
+    const dx = event.clientX - swipeStartX;
+    swipeStartX = null;
+    if (Math.abs(dx) >= SWIPE_THRESHOLD) {
+      show(current + (dx < 0 ? 1 : -1), { fromUser: true });
+    }
+  });
+  root.addEventListener('pointercancel', () => {
+    swipeStartX = null;
+  });
+
+  document.addEventListener('visibilitychange', schedule);
+
+  updateToggle();
+  schedule();
+
+  return () => {
+    clearTimeout(timer);
+    clearTimeout(fadeTimer);
+    document.removeEventListener('visibilitychange', schedule);
+  };
+}
@@ -0,0 +1,107 @@
+import rawTestimonials from '../data/testimonials.json';
+
+// Every review needs an id and its text. Author, rating, date and source are
+// optional: fill them in only from the original review record. Stars, the
+// aggregate rating and the structured data only use reviews that have them.
+const REVIEW_FIELDS = ['id', 'text'];
+const DETAIL_FIELDS = ['author', 'rating', 'date', 'source'];
+export const MAX_RATING = 5;
+
+export class TestimonialsError extends Error {
+  constructor(message) {
+    super(`[testimonials] ${message}`);
+    this.name = 'TestimonialsError';
+  }
+}
+
+export function validateTestimonials(data) {
+  if (!data || !Array.isArray(data.reviews) || data.reviews.length === 0) {
+    throw new TestimonialsError('Testimonials must have a non-empty "reviews" array');
+  }
+
+  const ids = new Set();
+  data.reviews.forEach((review, i) => {
+    const label = `Review ${review.id || `#${i}`}`;
+    const missing = REVIEW_FIELDS.filter((field) => review[field] === undefined || review[field] === '');
+    if (missing.length > 0) {
+      throw new TestimonialsError(`${label} is missing required field(s): ${missing.join(', ')}`);
+    }
+    if (ids.has(review.id)) {
+      throw new TestimonialsError(`Duplicate review id "${review.id}"`);
+    }
+    ids.add(review.id);
+
+    const empty = DETAIL_FIELDS.filter((field) => review[field] === '' || review[field] === null);
+    if (empty.length > 0) {
+      throw new TestimonialsError(`${label} has empty field(s): ${empty.join(', ')} (leave them out instead)`);
+    }
+    if (isRated(review) && (!Number.isInteger(review.rating) || review.rating < 1 || review.rating > MAX_RATING)) {
+      throw new TestimonialsError(`${label} has rating ${review.rating}; expected a whole number from 1 to ${MAX_RATING}`);
+    }
+    if (review.date !== undefined && Number.isNaN(Date.parse(review.date))) {
+      throw new TestimonialsError(`${label} has an unreadable date "${review.date}" (use YYYY-MM-DD)`);
+    }
+  });
+
+  return data;
+}
+
+export function isRated(review) {
+  return review.rating !== undefined;
+}
+
+// Newest first; undated reviews keep their order after the dated ones
+export const testimonials = validateTestimonials(rawTestimonials).reviews
+  .slice()
+  .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+// Over the rated reviews only; null when there are none
+export function aggregateRating(reviews) {
+  const rated = reviews.filter(isRated);
+  if (rated.length === 0) return null;
+
+  const total = rated.reduce((sum, review) => sum + review.rating, 0);
+  return {
+    ratingValue: Math.round((total / rated.length) * 10) / 10,
+    reviewCount: rated.length
+  };
+}
+
+export function formatReviewDate(date) {
+  return new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(new Date(date));
+}
+
+// schema.org structured data for search engines. Only reviews with an
+// author and a rating qualify as a Review; null when none do.
+export function testimonialsJsonLd(reviews, { name, url }) {
+  const eligible = reviews.filter((review) => review.author !== undefined && isRated(review));
+  if (eligible.length === 0) return null;
+
+  const { ratingValue, reviewCount } = aggregateRating(eligible);
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Store',
+    name,
+    url,
+    aggregateRating: {
+      '@type': 'AggregateRating',
+      ratingValue,
+      reviewCount,
+      bestRating: MAX_RATING,
+      worstRating: 1
+    },
+    review: eligible.map((review) => ({
+      '@type': 'Review',
+      author: { '@type': 'Person', name: review.author },
+      ...(review.date && { datePublished: review.date }),
+      reviewBody: review.text,
+      reviewRating: {
+        '@type': 'Rating',
+        ratingValue: review.rating,
+        bestRating: MAX_RATING,
+        worstRating: 1
+      },
+      ...(review.source && { publisher: { '@type': 'Organization', name: review.source } })
+    }))
+  };
+}
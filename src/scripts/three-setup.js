@@ -1,14 +1,36 @@
 import * as THREE from 'three';
 import { CategoryCards } from './CategoryCards.js';
 import { RegularCards } from './RegularCards.js';
+import { CardInspector } from './CardInspector.js';
+import { RenderScheduler } from './RenderScheduler.js';
+import { AssetLoader } from './AssetLoader.js';
+import { LoadingOverlay } from './LoadingOverlay.js';
+import { catalog } from './catalog.js';
+import { categoryExitPresets, categoryTimelinePresets, DEFAULT_CATEGORY_EXIT, DEFAULT_CATEGORY_TIMELINE } from './categoryTimelines.js';
+import { orbitLayouts } from './orbitLayouts.js';
+import { getCartStore } from './cart-store.js';
+import { setFoilViewOffset } from './CardFaceMaterial.js';
+import { createSlabPlasticMaterial } from './SlabModel.js';
+import { disposeObject3D } from './dispose.js';
+import { getAnalytics, MemorySink } from './analytics.js';
+import { onPageMount } from './page-lifecycle.js';
+import { POST_QUALITY_LEVELS, PostProcessing } from './PostProcessing.js';
+import { PERFORMANCE_LEVELS, PerformanceGovernor } from './PerformanceGovernor.js';
+import { hideWebGLFallback, isWebGLAvailable, showWebGLFallback } from './webgl-fallback.js';
 
 let container, camera, scene, renderer;
+let assetLoader, slabPlasticMaterial;
+let unsubscribeCart, orbitSectionObserver, removeAnalyticsSink;
 let scrollY = 0;
 let targetScrollY = 0;
 
 // Card managers
 let categoryCardsManager;
 let regularCardsManager;
+let cardInspector;
+let scheduler;
+let postProcessing;
+let governor, unsubscribeGovernor;
 
 // Mouse parallax variables
 let mouseX = 0;
@@ -16,19 +38,252 @@ let mouseY = 0;
 let targetCameraX = 0;
 let targetCameraY = 0;
 
-const ANIMATION_SPEED = 1;
-const MOUSE_INFLUENCE = 0.1;
-const MOUSE_SMOOTHING = 0.08;
-const MAX_MOUSE_OFFSET = 1.5;
+// Tunable at runtime through getDebugControls()
+let ANIMATION_SPEED = 1;
+let MOUSE_INFLUENCE = 0.1;
+let MOUSE_SMOOTHING = 0.08;
+let MAX_MOUSE_OFFSET = 1.5;
+const MAX_ORBIT_CARDS = 120;
 
+// Returns false, having set nothing up, when no WebGL renderer could be
+// created
 export function initThreeScene() {
-  init();
-  animate();
+  if (scheduler) return true; // Already mounted
+  
+  if (!init()) return false;
+  scheduler = new RenderScheduler(animate);
+  scheduler.addFrameListener((stats) => governor.recordFrame(stats.frameStart, stats.frameTime));
+  scheduler.start();
+  
+  // Add ?frame-stats to the URL to log render loop timing once a second
+  if (new URLSearchParams(window.location.search).has('frame-stats')) {
+    logFrameStats();
+  }
+  
+  // Headless-browser tests reach the scene through window.onlygoatzScene;
+  // add ?scene-api to the URL to get it outside development
+  if (import.meta.env.DEV || new URLSearchParams(window.location.search).has('scene-api')) {
+    const analyticsEvents = new MemorySink();
+    removeAnalyticsSink = getAnalytics().addSink(analyticsEvents);
+    window.onlygoatzScene = {
+      getSceneState,
+      setScrollProgress,
+      getFrameStats,
+      getAnalyticsEvents: () => analyticsEvents.events
+    };
+  }
+  return true;
+}
+
+// Stops the render loop, detaches every listener and frees all GPU
+// resources, including the WebGL context. initThreeScene() can run again
+// afterwards, e.g. when the ClientRouter brings the home page back.
+export function destroyThreeScene() {
+  if (!scheduler) return;
+  
+  scheduler.stop();
+  scheduler = null;
+  
+  window.removeEventListener('resize', onWindowResize);
+  window.removeEventListener('scroll', onWindowScroll);
+  window.removeEventListener('mousemove', onMouseMove);
+  window.removeEventListener('pointerdown', requestRender);
+  window.removeEventListener('wheel', requestRender);
+  window.removeEventListener('keydown', requestRender);
+  document.removeEventListener('cardSearch', onCardSearch);
+  document.removeEventListener('cardSearchSelect', onCardSearchSelect);
+  unsubscribeCart();
+  unsubscribeGovernor();
+  if (orbitSectionObserver) orbitSectionObserver.disconnect();
+  renderer.domElement.removeEventListener('webglcontextlost', onContextLost);
+  renderer.domElement.removeEventListener('webglcontextrestored', onContextRestored);
+  
+  cardInspector.destroy();
+  categoryCardsManager.destroy();
+  regularCardsManager.dispose();
+  postProcessing.dispose();
+  assetLoader.dispose();
+  slabPlasticMaterial.dispose();
+  disposeObject3D(scene);
+  
+  renderer.dispose();
+  renderer.forceContextLoss(); // Browsers cap live contexts, so don't wait for garbage collection
+  renderer.domElement.remove();
+  
+  if (window.onlygoatzScene) delete window.onlygoatzScene;
+  if (removeAnalyticsSink) removeAnalyticsSink();
+  
+  container = camera = scene = renderer = null;
+  assetLoader = slabPlasticMaterial = null;
+  unsubscribeCart = orbitSectionObserver = removeAnalyticsSink = null;
+  governor = unsubscribeGovernor = null;
+  categoryCardsManager = regularCardsManager = cardInspector = postProcessing = null;
+  scrollY = targetScrollY = 0;
+  mouseX = mouseY = targetCameraX = targetCameraY = 0;
+}
+
+function logFrameStats() {
+  let lastLog = 0;
+  scheduler.addFrameListener((stats) => {
+    const now = performance.now();
+    if (now - lastLog < 1000) return;
+    lastLog = now;
+    console.log(
+      `[frame-stats] ${stats.mode} | ${stats.fps.toFixed(0)} fps | ` +
+      `${stats.frameTime.toFixed(2)} ms (avg ${stats.averageFrameTime.toFixed(2)} ms) | ` +
+      `${stats.framesRendered} frames rendered`
+    );
+  });
+}
+
+// Per-frame timing from the render loop, for measuring idle savings
+export function getFrameStats() {
+  return scheduler ? scheduler.getStats() : null;
+}
+
+// Plain-object snapshot of both scenes: card transforms, hover and raycast
+// hits, and renderer counters for the last frame
+export function getSceneState() {
+  if (!scheduler) return null;
+  
+  const { render, memory } = renderer.info;
+  return {
+    scrollY,
+    camera: { position: camera.position.toArray() },
+    categories: categoryCardsManager.getState(),
+    floatingCards: regularCardsManager.getState(),
+    inspector: cardInspector.getState(),
+    postProcessing: postProcessing.getState(),
+    performance: governor.getState(),
+    renderer: {
+      drawCalls: render.calls,
+      triangles: render.triangles,
+      geometries: memory.geometries,
+      textures: memory.textures
+    },
+    frame: getFrameStats()
+  };
+}
+
+// Pins the category flip/spread (and exit) at a 0-1 progress and poses the
+// cards immediately, so getSceneState() can be read straight after. Pass
+// null to follow the page scroll again.
+export function setScrollProgress(progress, exitProgress = 0) {
+  if (!categoryCardsManager) return;
+  categoryCardsManager.setScrollProgress(progress, exitProgress);
+  requestRender();
+}
+
+// Parameters the dev debug panel can edit live. Number controls carry
+// min/max/step; choice controls carry options.
+export function getDebugControls() {
+  let timelineName = DEFAULT_CATEGORY_TIMELINE;
+  let exitName = DEFAULT_CATEGORY_EXIT;
+  const category = categoryCardsManager;
+  const post = postProcessing;
+  const dof = post.dofPass.material.uniforms;
+  const finish = post.finishPass.uniforms;
+  const number = (group, label, min, max, step, get, set) => ({ group, label, min, max, step, get, set });
+  
+  return [
+    {
+      group: 'Performance',
+      label: 'Level',
+      options: ['auto', ...PERFORMANCE_LEVELS.map((level) => level.name)],
+      get: () => (governor.pinned ? governor.level.name : 'auto'),
+      set: (name) => governor.setLevel(name)
+    },
+    number('Scene', 'Animation speed', 0, 3, 0.1, () => ANIMATION_SPEED, (value) => { ANIMATION_SPEED = value; }),
+    number('Scene', 'Mouse influence', 0, 0.5, 0.01, () => MOUSE_INFLUENCE, (value) => { MOUSE_INFLUENCE = value; }),
+    number('Scene', 'Mouse smoothing', 0.01, 1, 0.01, () => MOUSE_SMOOTHING, (value) => { MOUSE_SMOOTHING = value; }),
+    number('Scene', 'Max mouse offset', 0, 5, 0.1, () => MAX_MOUSE_OFFSET, (value) => { MAX_MOUSE_OFFSET = value; }),
+    {
+      group: 'Post-processing',
+      label: 'Quality',
+      options: ['auto', ...POST_QUALITY_LEVELS],
+      get: () => (post.auto ? 'auto' : post.quality),
+      set: (quality) => post.setQuality(quality)
+    },
+    number('Post-processing', 'Bloom strength', 0, 2, 0.05, () => post.bloomPass.strength, (value) => { post.bloomPass.strength = value; }),
+    number('Post-processing', 'Bloom threshold', 0, 1, 0.01, () => post.bloomPass.threshold, (value) => { post.bloomPass.threshold = value; }),
+    number('Post-processing', 'Aperture', 0, 0.01, 0.0005, () => dof.aperture.value, (value) => { dof.aperture.value = value; }),
+    number('Post-processing', 'Max blur', 0, 0.03, 0.001, () => dof.maxBlur.value, (value) => { dof.maxBlur.value = value; }),
+    number('Post-processing', 'Exposure', 0.2, 3, 0.05, () => finish.exposure.value, (value) => { finish.exposure.value = value; }),
+    number('Post-processing', 'Vignette', 0, 1, 0.01, () => finish.vignetteDarkness.value, (value) => { finish.vignetteDarkness.value = value; }),
+    {
+      group: 'Scene',
+      label: 'Orbit layout',
+      options: Object.keys(orbitLayouts),
+      get: () => regularCardsManager.layoutName,
+      set: setOrbitLayout
+    },
+    number('Categories', 'Scroll distance (px)', 500, 8000, 100, () => category.BASE_ANIMATION_SCROLL_DISTANCE, (value) => {
+      category.BASE_ANIMATION_SCROLL_DISTANCE = value;
+      category.updateSectionDimensions();
+    }),
+    number('Categories', 'Exit distance (viewports)', 0.1, 3, 0.1, () => category.EXIT_SCROLL_RATIO, (value) => { category.EXIT_SCROLL_RATIO = value; }),
+    number('Categories', 'Card margin', 0.3, 1, 0.01, () => category.CARD_MARGIN, (value) => {
+      category.CARD_MARGIN = value;
+      category.updateCardLayout();
+    }),
+    number('Categories', 'Hover scale', 1, 1.5, 0.01, () => category.HOVER_SCALE, (value) => { category.HOVER_SCALE = value; }),
+    number('Categories', 'Hover lift', 0, 5, 0.1, () => category.HOVER_Z, (value) => { category.HOVER_Z = value; }),
+    number('Categories', 'Hover smoothing', 0.01, 1, 0.01, () => category.HOVER_SMOOTHING, (value) => { category.HOVER_SMOOTHING = value; }),
+    {
+      group: 'Categories',
+      label: 'Timeline',
+      options: Object.keys(categoryTimelinePresets),
+      get: () => timelineName,
+      set: (name) => {
+        category.setTimeline(name);
+        timelineName = name;
+      }
+    },
+    {
+      group: 'Categories',
+      label: 'Timeline driver',
+      options: ['scroll', 'clock'],
+      get: () => category.timelineDriver,
+      set: (driver) => category.setTimeline(category.timeline, driver)
+    },
+    {
+      group: 'Categories',
+      label: 'Exit',
+      options: [...Object.keys(categoryExitPresets), 'none'],
+      get: () => exitName,
+      set: (name) => {
+        category.setExitTimeline(name === 'none' ? null : name);
+        exitName = name;
+      }
+    }
+  ].map((control) => ({
+    ...control,
+    set: (value) => {
+      control.set(value);
+      requestRender();
+    }
+  }));
+}
+
+function requestRender() {
+  if (scheduler) {
+    scheduler.requestRender();
+  }
 }
 
 function init() {
+  renderer = createRenderer();
+  if (!renderer) return false;
+  
   container = document.getElementById('container');
   
+  // Trades pixel ratio, floating cards and effects for frame rate. Add
+  // ?quality=high|medium|low|minimal to the URL to pin a level.
+  const qualityParam = new URLSearchParams(window.location.search).get('quality');
+  governor = new PerformanceGovernor({
+    level: PERFORMANCE_LEVELS.some((level) => level.name === qualityParam) ? qualityParam : null
+  });
+  
   camera = new THREE.PerspectiveCamera(
     60,
     window.innerWidth / window.innerHeight,
@@ -47,28 +302,57 @@ function init() {
   directionalLight.position.set(5, 5, 5);
   scene.add(directionalLight);
   
-  renderer = new THREE.WebGLRenderer({ antialias: true, alpha: false });
   renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.setPixelRatio(window.devicePixelRatio);
+  renderer.setPixelRatio(governor.pixelRatio);
+  renderer.outputEncoding = THREE.sRGBEncoding; // Textures are decoded as sRGB by AssetLoader
+  renderer.info.autoReset = false; // Count both scenes' draw calls; reset at the start of each frame
   container.appendChild(renderer.domElement);
+  renderer.domElement.addEventListener('webglcontextlost', onContextLost);
+  renderer.domElement.addEventListener('webglcontextrestored', onContextRestored);
   
-  // Create shared materials
-  const textureLoader = new THREE.TextureLoader();
-  const slabPlasticMaterial = new THREE.MeshStandardMaterial({
-    color: 0x444444,
-    metalness: 0.8,
-    roughness: 0.1,
-    side: THREE.FrontSide
+  // All card images load through one manager that feeds the loading overlay
+  const loadingOverlay = new LoadingOverlay(document.getElementById('loading-overlay'));
+  assetLoader = new AssetLoader(renderer, {
+    onProgress: (loaded, total) => {
+      loadingOverlay.setProgress(loaded, total);
+      requestRender();
+    },
+    onComplete: () => {
+      loadingOverlay.hide();
+      requestRender();
+    }
   });
   
+  // Create shared materials
+  slabPlasticMaterial = createSlabPlasticMaterial();
+  
   // Initialize regular cards
+  // Add ?orbit-cards=N to the URL to try the layouts with more cards
   regularCardsManager = new RegularCards();
-  regularCardsManager.createCards(scene, textureLoader, slabPlasticMaterial);
+  const orbitCards = Number(new URLSearchParams(window.location.search).get('orbit-cards'));
+  regularCardsManager.createCards(scene, assetLoader, slabPlasticMaterial, catalog.cards, {
+    count: orbitCards > 0 ? Math.min(Math.round(orbitCards), MAX_ORBIT_CARDS) : catalog.cards.length
+  });
+  observeOrbitLayoutSections();
+  
+  // Click a floating card to inspect it up close
+  cardInspector = new CardInspector(camera, regularCardsManager);
+  cardInspector.init();
   
   // Initialize category cards
   categoryCardsManager = new CategoryCards();
-  categoryCardsManager.init();
-  categoryCardsManager.createCards(textureLoader, slabPlasticMaterial);
+  categoryCardsManager.init(renderer);
+  categoryCardsManager.createCards(assetLoader, slabPlasticMaterial, catalog.categories);
+  
+  // Bloom, depth of field, tone mapping and vignette, scaled to what the
+  // device can keep up with. Add ?post=high|medium|low|off to the URL to
+  // pin a quality level.
+  const postQuality = new URLSearchParams(window.location.search).get('post');
+  postProcessing = new PostProcessing(renderer, renderScenes, {
+    quality: POST_QUALITY_LEVELS.includes(postQuality) ? postQuality : 'auto'
+  });
+  unsubscribeGovernor = governor.subscribe(applyPerformance);
+  applyPerformance({ level: governor.level, pixelRatio: governor.pixelRatio });
   
   // Handle window resize
   window.addEventListener('resize', onWindowResize);
@@ -78,6 +362,112 @@ function init() {
   
   // Track mouse movement
   window.addEventListener('mousemove', onMouseMove);
+  
+  // Cards already in the cart carry a tag in the scene
+  const cartStore = getCartStore();
+  const syncCartTags = () => {
+    regularCardsManager.setCartCards(cartStore.getCartCards().map((card) => card.id));
+    requestRender();
+  };
+  unsubscribeCart = cartStore.subscribe(syncCartTags);
+  syncCartTags();
+  
+  // Search results light up the matching cards in both scenes
+  document.addEventListener('cardSearch', onCardSearch);
+  document.addEventListener('cardSearchSelect', onCardSearchSelect);
+  
+  // A #card-<id> link opens that card in the inspector
+  openCardFromHash();
+  
+  // Any other input may start an animation, so wake the loop
+  window.addEventListener('pointerdown', requestRender);
+  window.addEventListener('wheel', requestRender, { passive: true });
+  window.addEventListener('keydown', requestRender);
+  return true;
+}
+
+// Capability detection can pass and the context still be refused (too many
+// live contexts, a GPU process that just crashed), in which case three throws
+function createRenderer() {
+  try {
+    return new THREE.WebGLRenderer({ antialias: true, alpha: false });
+  } catch (error) {
+    console.warn('[three-setup] Could not create a WebGL renderer; showing the HTML storefront', error);
+    return null;
+  }
+}
+
+// A driver reset or memory pressure can take the context away at any time.
+// three keeps its scene state and re-uploads everything on restore, so the
+// HTML storefront only stands in until then.
+function onContextLost() {
+  scheduler.stop();
+  showWebGLFallback();
+}
+
+function onContextRestored() {
+  hideWebGLFallback();
+  scheduler.start();
+  onWindowResize(); // The window may have changed size in the meantime
+}
+
+// Scales the scenes to the governor's current level
+function applyPerformance({ level, pixelRatio }) {
+  if (renderer.getPixelRatio() !== pixelRatio) {
+    renderer.setPixelRatio(pixelRatio);
+    postProcessing.setSize(window.innerWidth, window.innerHeight);
+  }
+  
+  regularCardsManager.setActiveCount(regularCardsManager.cards.length * level.cardFraction);
+  regularCardsManager.setGeometrySegments(level.segments);
+  categoryCardsManager.setGeometrySegments(level.segments);
+  postProcessing.setAutoQuality(level.postQuality);
+  requestRender();
+}
+
+// Current performance level and pixel ratio, for scene code that wants to
+// scale its own work (null before the scene mounts)
+export function getPerformanceState() {
+  return governor ? governor.getState() : null;
+}
+
+// Calls `listener` with { level, pixelRatio } whenever the governor changes
+// either; returns an unsubscribe function
+export function onPerformanceChange(listener) {
+  return governor ? governor.subscribe(listener) : () => {};
+}
+
+// Page sections name the floating cards' layout in data-orbit-layout; the
+// section taking up the most of the viewport wins
+function observeOrbitLayoutSections() {
+  const sections = document.querySelectorAll('[data-orbit-layout]');
+  if (sections.length === 0) return;
+
+  const visibleHeights = new Map();
+  orbitSectionObserver = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      visibleHeights.set(entry.target, entry.isIntersecting ? entry.intersectionRect.height : 0);
+    });
+
+    let mostVisible = null;
+    visibleHeights.forEach((height, section) => {
+      if (height > 0 && (!mostVisible || height > visibleHeights.get(mostVisible))) {
+        mostVisible = section;
+      }
+    });
+    if (mostVisible) {
+      setOrbitLayout(mostVisible.dataset.orbitLayout);
+    }
+  }, { threshold: [0, 0.1, 0.25, 0.5, 0.75, 1] });
+
+  sections.forEach((section) => orbitSectionObserver.observe(section));
+}
+
+// Switches the floating cards to a layout from orbitLayouts.js
+export function setOrbitLayout(name) {
+  if (!regularCardsManager) return;
+  regularCardsManager.setLayout(name);
+  requestRender();
 }
 
 function onWindowResize() {
@@ -86,41 +476,80 @@ function onWindowResize() {
   camera.aspect = width / height;
   camera.updateProjectionMatrix();
   renderer.setSize(width, height);
+  postProcessing.setSize(width, height);
   
-  // Resize category renderer
+  // Update category camera to its container's new size
   if (categoryCardsManager) {
     categoryCardsManager.onResize();
   }
+  
+  requestRender();
 }
 
 function onWindowScroll() {
   targetScrollY = window.scrollY;
+  requestRender();
+}
+
+function onCardSearch(event) {
+  const { cardIds, categorySlugs } = event.detail;
+  regularCardsManager.setHighlightedCards(cardIds);
+  categoryCardsManager.setEmphasizedCategories(categorySlugs);
+  requestRender();
+}
+
+function onCardSearchSelect(event) {
+  const cardMesh = regularCardsManager.getCardMesh(event.detail.card.id);
+  if (!cardMesh) return;
+  
+  event.preventDefault();
+  cardInspector.open(cardMesh);
+  requestRender();
+}
+
+function openCardFromHash() {
+  const match = window.location.hash.match(/^#card-(.+)$/);
+  const cardMesh = match ? regularCardsManager.getCardMesh(decodeURIComponent(match[1])) : null;
+  if (cardMesh) {
+    cardInspector.open(cardMesh);
+  }
 }
 
 function onMouseMove(event) {
   mouseX = -(event.clientX / window.innerWidth) * 2;
   mouseY = (event.clientY / window.innerHeight) * 2;
+  requestRender();
 }
 
+// Renders one frame. Returns false once nothing is moving, which lets the
+// scheduler drop to on-demand rendering until the next input event.
 function animate() {
-  requestAnimationFrame(animate);
+  renderer.info.reset();
   
   const timer = 0.000005 * ANIMATION_SPEED * Date.now();
   
   scrollY += (targetScrollY - scrollY) * 0.05;
+  if (Math.abs(targetScrollY - scrollY) < 0.5) {
+    scrollY = targetScrollY;
+  }
   const scrollProgress = scrollY * 0.0005;
+  const scrollCameraY = -scrollProgress * 3;
   
   // Animate regular cards
   if (regularCardsManager) {
-    regularCardsManager.animate(timer, scrollProgress, ANIMATION_SPEED);
+    regularCardsManager.animate(timer, scrollProgress, ANIMATION_SPEED, scrollCameraY);
   }
   
-  // Animate category cards
-  if (categoryCardsManager) {
+  // Animate category cards, but only while their container is on screen
+  const categoryInView = Boolean(categoryCardsManager && categoryCardsManager.isInView);
+  if (categoryInView) {
     categoryCardsManager.animate(timer);
   }
   
   // Smooth mouse parallax
+  const parallaxSettled =
+    Math.abs(mouseX * MOUSE_INFLUENCE - targetCameraX) < 0.0005 &&
+    Math.abs(mouseY * MOUSE_INFLUENCE - targetCameraY) < 0.0005;
   targetCameraX += (mouseX * MOUSE_INFLUENCE - targetCameraX) * MOUSE_SMOOTHING;
   targetCameraY += (mouseY * MOUSE_INFLUENCE - targetCameraY) * MOUSE_SMOOTHING;
   
@@ -128,62 +557,73 @@ function animate() {
   targetCameraX = Math.max(-MAX_MOUSE_OFFSET, Math.min(MAX_MOUSE_OFFSET, targetCameraX));
   targetCameraY = Math.max(-MAX_MOUSE_OFFSET, Math.min(MAX_MOUSE_OFFSET, targetCameraY));
   
-  const scrollCameraY = -scrollProgress * 3;
+  // Foil finishes shimmer with the same parallax that moves the camera
+  setFoilViewOffset(targetCameraX, targetCameraY);
+  
   camera.position.x = targetCameraX;
   camera.position.y = scrollCameraY + targetCameraY;
   camera.position.z = 8;
   
   camera.lookAt(targetCameraX * 0.5, scrollCameraY + targetCameraY * 0.5, 0);
   
+  // Inspected card follows the camera, so update it after the camera moves
+  if (cardInspector) {
+    cardInspector.update();
+  }
+  
+  updateDepthOfField(categoryInView);
+  postProcessing.render();
+  
+  // The floating cards orbit continuously, so only idle while the settled
+  // category section is what's on screen
+  const idle =
+    categoryInView &&
+    categoryCardsManager.isSettled() &&
+    scrollY === targetScrollY &&
+    parallaxSettled &&
+    regularCardsManager.isSettled() &&
+    postProcessing.isSettled() &&
+    !(cardInspector && cardInspector.isActive());
+  
+  return !idle;
+}
+
+// Draws both scenes into the renderer's current target: the canvas, or the
+// post-processing chain's scene buffer
+function renderScenes() {
   renderer.render(scene, camera);
   
-  // Render category cards in their own renderer
-  if (categoryCardsManager) {
+  // Render category cards into their container's rectangle on the same canvas
+  if (categoryCardsManager.isInView) {
     categoryCardsManager.render();
   }
 }
 
-const reviews = [
-  "Adam is amazing to work with. Honest and a man of his word. And The Hair!!",
-  "The quality of the cards I received exceeded my expectations. Highly recommend!",
-  "Fast shipping and excellent customer service. Will definitely order again!"
-];
-
-let currentReview = 0;
-
-window.showReview = function(index) {
-  currentReview = index;
-  const reviewText = document.getElementById('review-text');
-  const dots = document.querySelectorAll('.dot');
-  
-  // Fade out review text and dots
-  reviewText.classList.add('fade-out');
-  dots.forEach(dot => dot.classList.add('fade-out'));
+// Depth of field follows the inspected card, or else the highlighted
+// category card. Uses the rectangle the category cards drew in last frame.
+function updateDepthOfField(categoryInView) {
+  const categoryRect = categoryInView ? categoryCardsManager.drawnRect : null;
+  const highlighted = categoryRect ? categoryCardsManager.getHighlightedCard() : null;
   
-  // Change text and update dots, then fade back in
-  setTimeout(() => {
-    reviewText.textContent = reviews[index] || reviews[0];
-    dots.forEach((dot, i) => {
-      if (i === index) {
-        dot.classList.add('active');
-      } else {
-        dot.classList.remove('active');
-      }
-    });
-    reviewText.classList.remove('fade-out');
-    dots.forEach(dot => dot.classList.remove('fade-out'));
-  }, 250);
-};
-
-// Auto-advance carousel every 3 seconds
-setInterval(() => {
-  currentReview = (currentReview + 1) % reviews.length;
-  showReview(currentReview);
-}, 3000);
-
-// Initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initThreeScene);
-} else {
-  initThreeScene();
+  if (cardInspector.isActive()) {
+    postProcessing.setFocus({ object: cardInspector.inspectedCard, camera, rect: categoryRect, inside: false });
+  } else if (highlighted) {
+    postProcessing.setFocus({ object: highlighted, camera: categoryCardsManager.camera, rect: categoryRect, inside: true });
+  } else {
+    postProcessing.setFocus(null);
+  }
 }
+
+// Mount on the home page, and again whenever the ClientRouter returns to it
+onPageMount(() => {
+  if (!document.getElementById('container')) return;
+  
+  if (!isWebGLAvailable() || !initThreeScene()) {
+    showWebGLFallback();
+    return hideWebGLFallback;
+  }
+  return () => {
+    destroyThreeScene();
+    hideWebGLFallback();
+  };
+});
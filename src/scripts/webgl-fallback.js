@@ -0,0 +1,42 @@
+// WebGL capability check and the switch to the HTML/CSS storefront
+// (src/components/HeroCollage.astro and CategoryFlipCards.astro). The
+// fallback is shown by a `no-webgl` class on <html>, which those components
+// and the home page style against.
+import { LoadingOverlay } from './LoadingOverlay.js';
+
+const FALLBACK_CLASS = 'no-webgl';
+
+let webglAvailable = null;
+
+// True when the browser will hand out a hardware-accelerated WebGL context.
+// Software rendering counts as unavailable: the scenes would crawl. Add
+// ?no-webgl to the URL to preview the fallback.
+export function isWebGLAvailable() {
+  if (new URLSearchParams(window.location.search).has('no-webgl')) return false;
+  if (webglAvailable !== null) return webglAvailable;
+
+  const options = { failIfMajorPerformanceCaveat: true };
+  try {
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl2', options) || canvas.getContext('webgl', options);
+    webglAvailable = Boolean(gl);
+
+    // Give the probe context back; browsers cap how many can be alive
+    const loseContext = gl ? gl.getExtension('WEBGL_lose_context') : null;
+    if (loseContext) loseContext.loseContext();
+  } catch (error) {
+    webglAvailable = false;
+  }
+  return webglAvailable;
+}
+
+// Swaps the 3D scenes for the HTML/CSS versions. Nothing is left to load
+// behind the overlay, so that goes too.
+export function showWebGLFallback() {
+  document.documentElement.classList.add(FALLBACK_CLASS);
+  new LoadingOverlay(document.getElementById('loading-overlay')).hide();
+}
+
+export function hideWebGLFallback() {
+  document.documentElement.classList.remove(FALLBACK_CLASS);
+}